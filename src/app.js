@@ -4,6 +4,7 @@ import express from "express";
 import path from "path";
 import logger from "morgan";
 import cors from "cors";
+import cookieParser from "cookie-parser";
 import chalk from "chalk";
 import mongoose from "mongoose";
 import { fileURLToPath } from "url";
@@ -11,11 +12,17 @@ import { fileURLToPath } from "url";
 // file imports
 import "./bin/www.js";
 import indexRouter from "./routes/index.js";
+import models from "./models/index.js";
 import SocketManager from "./utils/socket-manager.js";
+import NodeScheduler from "./utils/node-scheduler.js";
+import * as usersController from "./controllers/users.js";
+import * as signingKeysController from "./controllers/signing-keys.js";
 import errorHandler from "./middlewares/error-handler.js";
+import { verifyCSRF } from "./middlewares/authenticator.js";
 
 // destructuring assignments
-const { NODE_ENV, MONGO_URL } = process.env;
+const { NODE_ENV, MONGO_URL, COOKIE_SECRET, JWT_KEY_PASSPHRASE } = process.env;
+const { usersModel } = models;
 
 // variable initializations
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -24,6 +31,10 @@ const serverFunction = async () => {
   console.log(chalk.hex("#00BFFF")("***Server Execution Started!***"));
 
   try {
+    // signing keys are stored encrypted with it
+    if (JWT_KEY_PASSPHRASE);
+    else throw new Error("Please set JWT_KEY_PASSPHRASE in environment!");
+
     const app = express();
     const server = http.createServer(app);
     mongoose.set("strictQuery", false);
@@ -42,7 +53,21 @@ const serverFunction = async () => {
     });
 
     connect.then(
-      (_db) => {
+      async (_db) => {
+        // deployments from before sparse email and phone indexes keep the
+        // old unique ones until synced, rejecting second phone-only sign ups
+        try {
+          await usersModel.syncIndexes();
+        } catch (error) {
+          console.log(error);
+        }
+        // tokens must not be signed before the key ring is loaded
+        try {
+          await signingKeysController.loadSigningKeys();
+          await signingKeysController.rotateSigningKeyIfDue();
+        } catch (error) {
+          console.log(error);
+        }
         const port = process.env.PORT || "5002";
         server.listen(port, (err) => {
           if (err) console.log(err);
@@ -52,6 +77,20 @@ const serverFunction = async () => {
             );
         });
         console.log(chalk.hex("#01CDEF")("***Database Connected!***"));
+        // purge accounts whose deletion grace period is over, every night
+        new NodeScheduler().schedule({
+          rule: "0 3 * * *",
+          func: usersController.purgeDeletedUsers,
+        });
+        // pick up keys rotated by other instances, every minute
+        new NodeScheduler().schedule({
+          rule: "* * * * *",
+          func: signingKeysController.loadSigningKeys,
+        });
+        new NodeScheduler().schedule({
+          rule: "0 4 * * *",
+          func: signingKeysController.rotateSigningKeyIfDue,
+        });
       },
       (err) => {
         console.log(err);
@@ -61,14 +100,44 @@ const serverFunction = async () => {
     app.use(logger("dev"));
     app.use(express.json());
     app.use(express.urlencoded({ extended: false }));
+    app.use(cookieParser(COOKIE_SECRET));
     app.use("/public/", express.static(path.join(__dirname, "public/")));
 
-    app.use("/api/v1", indexRouter);
+    app.use("/api/v1", verifyCSRF, indexRouter);
 
     app.get("/reset-password", (_req, res) => {
       res.sendFile(path.join(__dirname, "public/reset-password.html"));
     });
 
+    app.get("/accept-invite", (_req, res) => {
+      res.sendFile(path.join(__dirname, "public/accept-invite.html"));
+    });
+
+    app.get("/magic-link", (_req, res) => {
+      res.sendFile(path.join(__dirname, "public/magic-link.html"));
+    });
+
+    app.get("/email-change", (_req, res) => {
+      res.sendFile(path.join(__dirname, "public/email-change.html"));
+    });
+
+    app.get("/login-report", (_req, res) => {
+      res.sendFile(path.join(__dirname, "public/login-report.html"));
+    });
+
+    app.get("/unlock-account", (_req, res) => {
+      res.sendFile(path.join(__dirname, "public/unlock-account.html"));
+    });
+
+    app.get("/.well-known/jwks.json", async (_req, res, next) => {
+      try {
+        const response = await signingKeysController.getJWKS();
+        res.json(response);
+      } catch (error) {
+        next(error);
+      }
+    });
+
     app.get("/", (_req, res) => {
       res.sendFile(path.join(__dirname, "/public/image.png"));
     });
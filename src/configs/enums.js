@@ -28,6 +28,8 @@ export const PAYMENT_ACCOUNT_TYPES = {
 export const NOTIFICATION_TYPES = {
   NEW_MESSAGE: "new_message",
   NEW_CONVERSATION: "new_conversation",
+  GEOFENCE_ENTER: "geofence_enter",
+  GEOFENCE_EXIT: "geofence_exit",
 };
 
 export const USER_STATUSES = {
@@ -51,3 +53,123 @@ export const NOTIFICATION_STATUSES = {
   UNREAD: "unread",
   READ: "read",
 };
+
+export const USER_TOKEN_TYPES = {
+  RESET_PASSWORD: "reset_password",
+  EMAIL_VERIFICATION: "email_verification",
+  ACCOUNT_UNLOCK: "account_unlock",
+  REFRESH: "refresh",
+  MAGIC_LINK: "magic_link",
+  EMAIL_CHANGE: "email_change",
+  EMAIL_CHANGE_CANCEL: "email_change_cancel",
+  LOGIN_ALERT: "login_alert",
+};
+
+export const USER_TOKEN_STATUSES = {
+  ACTIVE: "active",
+  USED: "used",
+  REVOKED: "revoked",
+};
+
+export const SESSION_STATUSES = {
+  ACTIVE: "active",
+  REVOKED: "revoked",
+};
+
+export const INVITE_STATUSES = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  REVOKED: "revoked",
+};
+
+export const API_KEY_STATUSES = {
+  ACTIVE: "active",
+  REVOKED: "revoked",
+};
+
+export const SOCIAL_PROVIDERS = {
+  GOOGLE: "google",
+  FACEBOOK: "facebook",
+  TWITTER: "twitter",
+};
+
+export const EMAIL_VERIFICATION_POLICIES = {
+  NONE: "none",
+  LOGIN: "login",
+  ROUTES: "routes",
+};
+
+export const LOGIN_ATTEMPT_TYPES = {
+  LOGIN: "login",
+  OTP: "otp",
+};
+
+export const OTP_PURPOSES = {
+  LOGIN: "login",
+  PHONE_CHANGE: "phone_change",
+  SENSITIVE_ACTION: "sensitive_action",
+  MAGIC_LINK: "magic_link",
+};
+
+export const OTP_CHANNELS = {
+  SMS: "sms",
+  EMAIL: "email",
+};
+
+export const PERMISSIONS = {
+  USERS_CREATE: "users:create",
+  USERS_READ: "users:read",
+  USERS_UPDATE: "users:update",
+  USERS_DELETE: "users:delete",
+  MESSAGES_MODERATE: "messages:moderate",
+  DB_CLEAN: "db:clean",
+  API_KEYS_MANAGE: "api_keys:manage",
+  AUDIT_READ: "audit:read",
+  GEOFENCES_MANAGE: "geofences:manage",
+};
+
+export const JWT_ALGORITHMS = {
+  RS256: "RS256",
+  ES256: "ES256",
+};
+
+export const AUDIT_EVENTS = {
+  LOGIN: "login",
+  LOGIN_REPORT: "login_report",
+  LOGOUT: "logout",
+  REGISTER: "register",
+  ADMIN_REGISTER: "admin_register",
+  PASSWORD_CHANGE: "password_change",
+  PASSWORD_CHANGE_REQUIREMENT: "password_change_requirement",
+  PASSWORD_RESET_REQUEST: "password_reset_request",
+  PASSWORD_RESET: "password_reset",
+  EMAIL_CHANGE_REQUEST: "email_change_request",
+  EMAIL_CHANGE: "email_change",
+  OTP_SEND: "otp_send",
+  ROLE_CHANGE: "role_change",
+  ROLE_ASSIGNMENT: "role_assignment",
+  IMPERSONATION: "impersonation",
+  INVITE_CHANGE: "invite_change",
+  API_KEY_CHANGE: "api_key_change",
+  SIGNING_KEY_ROTATION: "signing_key_rotation",
+  GEOFENCE_CHANGE: "geofence_change",
+  USER_DELETION: "user_deletion",
+  DB_CLEAN: "db_clean",
+};
+
+export const AUDIT_OUTCOMES = {
+  SUCCESS: "success",
+  FAILURE: "failure",
+};
+
+export const PASSWORD_CHARACTER_CLASSES = {
+  LOWERCASE: "lowercase",
+  UPPERCASE: "uppercase",
+  DIGIT: "digit",
+  SYMBOL: "symbol",
+};
+
+export const GEOFENCE_TRANSITIONS = {
+  ENTER: "enter",
+  EXIT: "exit",
+};
@@ -0,0 +1,213 @@
+// module imports
+import crypto from "crypto";
+import { isIP } from "net";
+import { isValidObjectId } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+import * as rolesController from "./roles.js";
+import { API_KEY_STATUSES, PERMISSIONS } from "../configs/enums.js";
+
+// destructuring assignments
+const { apiKeysModel, usersModel } = models;
+const { ACTIVE, REVOKED } = API_KEY_STATUSES;
+
+/**
+ * @description Add API key
+ * @param {String} user creator user id
+ * @param {String} name API key name
+ * @param {[String]} scopes API key permissions
+ * @param {[String]} ips allowed ip addresses, any if empty
+ * @returns {Object} API key data along with plain key, shown only once
+ */
+export const addApiKey = async (params) => {
+  const { user, name, scopes, ips } = params;
+  const apiKeyObj = {};
+
+  if (name) apiKeyObj.name = name;
+  else throw new Error("Please enter API key name!|||400");
+
+  // keys can never be granted more than their creator holds
+  const userExists = await usersModel.findById(user);
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  apiKeyObj.scopes = validateScopes(scopes);
+  for (const permission of apiKeyObj.scopes)
+    if (await rolesController.hasPermission({ user: userExists, permission }));
+    else throw new Error(`Missing permission ${permission}!|||403`);
+
+  apiKeyObj.ips = validateIPs(ips ?? []);
+  apiKeyObj.user = userExists._id;
+
+  const key = generateKey();
+  apiKeyObj.prefix = key.slice(0, 8);
+  apiKeyObj.key = hashKey(key);
+  const apiKey = await apiKeysModel.create(apiKeyObj);
+  const apiKeyData = apiKey.toObject();
+  apiKeyData.key = key;
+  return apiKeyData;
+};
+
+/**
+ * @description Rotate API key, invalidating the old one immediately
+ * @param {String} apiKey API key id
+ * @returns {Object} API key data along with new plain key, shown only once
+ */
+export const rotateApiKey = async (params) => {
+  const { apiKey } = params;
+  if (apiKey);
+  else throw new Error("Please enter API key id!|||400");
+  if (isValidObjectId(apiKey));
+  else throw new Error("Please enter valid API key id!|||400");
+
+  const key = generateKey();
+  const apiKeyExists = await apiKeysModel.findOneAndUpdate(
+    { _id: apiKey, status: ACTIVE },
+    { prefix: key.slice(0, 8), key: hashKey(key) },
+    { new: true }
+  );
+  if (apiKeyExists);
+  else throw new Error("API key not found!|||404");
+  const apiKeyData = apiKeyExists.toObject();
+  apiKeyData.key = key;
+  return apiKeyData;
+};
+
+/**
+ * @description Revoke API key
+ * @param {String} apiKey API key id
+ * @returns {Object} API key data
+ */
+export const revokeApiKey = async (params) => {
+  const { apiKey } = params;
+  if (apiKey);
+  else throw new Error("Please enter API key id!|||400");
+  if (isValidObjectId(apiKey));
+  else throw new Error("Please enter valid API key id!|||400");
+  const apiKeyExists = await apiKeysModel.findOneAndUpdate(
+    { _id: apiKey, status: ACTIVE },
+    { status: REVOKED },
+    { new: true }
+  );
+  if (apiKeyExists);
+  else throw new Error("API key not found!|||404");
+  return apiKeyExists;
+};
+
+/**
+ * @description Get API keys
+ * @param {String} status API key status
+ * @param {Number} limit API keys limit
+ * @param {Number} page API keys page number
+ * @returns {Object} API key data
+ */
+export const getApiKeys = async (params) => {
+  const { status } = params;
+  let { limit, page } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+  const query = {};
+  if (status) query.status = status;
+  const [result] = await apiKeysModel.aggregate([
+    { $match: query },
+    { $sort: { createdAt: -1 } },
+    { $project: { key: 0, __v: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
+
+/**
+ * @description Verify API key and record its usage
+ * @param {String} key plain API key
+ * @param {String} ip client ip address
+ * @returns {Object} API key data
+ */
+export const verifyApiKey = async (params) => {
+  const { key, ip } = params;
+  const apiKeyExists = await apiKeysModel.findOne({
+    key: hashKey(String(key)),
+    status: ACTIVE,
+  });
+  if (apiKeyExists);
+  else throw new Error("Invalid API key!|||401");
+
+  const clientIP = normalizeIP(ip);
+  if (apiKeyExists.ips.length && !apiKeyExists.ips.includes(clientIP))
+    throw new Error("IP address not allowed for API key!|||403");
+
+  if (
+    Date.now() - (apiKeyExists.lastUsedAt ?? 0) > 60 * 1000 ||
+    apiKeyExists.lastUsedIP !== clientIP
+  )
+    await apiKeysModel.updateOne(
+      { _id: apiKeyExists._id },
+      { lastUsedAt: new Date(), lastUsedIP: clientIP }
+    );
+  return apiKeyExists;
+};
+
+/**
+ * @description Generate plain API key
+ * @returns {String} plain API key
+ */
+const generateKey = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * @description Hash API key for storage
+ * @param {String} key plain API key
+ * @returns {String} API key hash
+ */
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * @description Strip IPv4-mapped IPv6 prefix from ip address
+ * @param {String} ip ip address
+ * @returns {String} ip address
+ */
+const normalizeIP = (ip) => (ip ?? "").replace(/^::ffff:/, "");
+
+/**
+ * @description Validate API key scopes
+ * @param {[String]} scopes permission names
+ * @returns {[String]} unique permission names
+ */
+const validateScopes = (scopes) => {
+  const values = Object.values(PERMISSIONS);
+  if (
+    Array.isArray(scopes) &&
+    scopes.length &&
+    scopes.every((scope) => values.includes(scope))
+  );
+  else throw new Error("Please enter valid scopes!|||400");
+  return [...new Set(scopes)];
+};
+
+/**
+ * @description Validate API key ip allowlist
+ * @param {[String]} ips ip addresses
+ * @returns {[String]} unique ip addresses
+ */
+const validateIPs = (ips) => {
+  if (Array.isArray(ips) && ips.every((ip) => isIP(normalizeIP(ip))));
+  else throw new Error("Please enter valid IP addresses!|||400");
+  return [...new Set(ips.map(normalizeIP))];
+};
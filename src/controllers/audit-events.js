@@ -0,0 +1,111 @@
+// module imports
+import { isValidObjectId, Types } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+
+// destructuring assignments
+const { auditEventsModel } = models;
+const { ObjectId } = Types;
+
+/**
+ * @description Add audit event, never failing the audited operation
+ * @param {String} event audit event
+ * @param {String} outcome audit event outcome
+ * @param {String} actor acting user id
+ * @param {String} target affected user id
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @param {Object} metadata audit event details
+ * @returns {Object} audit event data
+ */
+export const addAuditEvent = async (params) => {
+  const { event, outcome, actor, target, ip, userAgent, metadata } = params;
+  const auditEventObj = {};
+  auditEventObj.event = event;
+  auditEventObj.outcome = outcome;
+  if (isValidObjectId(actor)) auditEventObj.actor = actor;
+  if (isValidObjectId(target)) auditEventObj.target = target;
+  if (ip) auditEventObj.ip = ip;
+  if (userAgent) auditEventObj.userAgent = userAgent;
+  if (metadata) auditEventObj.metadata = metadata;
+  try {
+    return await auditEventsModel.create(auditEventObj);
+  } catch (error) {
+    console.log("Audit event error", error);
+  }
+};
+
+/**
+ * @description Get audit events
+ * @param {String} event audit event
+ * @param {String} outcome audit event outcome
+ * @param {String} actor acting user id
+ * @param {String} target affected user id
+ * @param {String} ip client ip address
+ * @param {Date} from audit events start time
+ * @param {Date} to audit events end time
+ * @param {Number} limit audit events limit
+ * @param {Number} page audit events page number
+ * @returns {Object} audit event data
+ */
+export const getAuditEvents = async (params) => {
+  const { event, outcome, actor, target, ip, from, to } = params;
+  let { limit, page } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+  const query = {};
+  if (event) query.event = event;
+  if (outcome) query.outcome = outcome;
+  if (isValidObjectId(actor)) query.actor = new ObjectId(actor);
+  if (isValidObjectId(target)) query.target = new ObjectId(target);
+  if (ip) query.ip = ip;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  const [result] = await auditEventsModel.aggregate([
+    { $match: query },
+    { $sort: { createdAt: -1 } },
+    { $project: { __v: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
+
+/**
+ * @description Get recent security activity on user account
+ * @param {String} user user id
+ * @param {Number} limit audit events limit
+ * @returns {Object} audit event data
+ */
+export const getSecurityActivity = async (params) => {
+  const { user } = params;
+  let { limit } = params;
+  if (!limit) limit = 20;
+  const data = await auditEventsModel
+    .find({ $or: [{ actor: user }, { target: user }] })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select("event outcome ip userAgent createdAt");
+  return { data };
+};
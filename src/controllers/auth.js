@@ -1,21 +1,69 @@
+// module imports
+import crypto from "crypto";
+import { isValidObjectId } from "mongoose";
+
 // file imports
 import models from "../models/index.js";
 import * as usersController from "./users.js";
 import * as customersController from "./customers.js";
 import * as adminsController from "./admins.js";
+import * as sessionsController from "./sessions.js";
+import * as twoFactorController from "./two-factor.js";
+import * as loginAttemptsController from "./login-attempts.js";
+import * as otpsController from "./otps.js";
+import * as invitesController from "./invites.js";
+import * as auditEventsController from "./audit-events.js";
+import * as knownDevicesController from "./known-devices.js";
 import NodeMailer from "../utils/node-mailer.js";
-import { USER_TYPES, USER_STATUSES } from "../configs/enums.js";
+import SocialAuthManager from "../utils/social-auth-manager.js";
+import JWTManager from "../utils/jwt-manager.js";
+import { getToken } from "../middlewares/authenticator.js";
+import {
+  USER_TYPES,
+  USER_STATUSES,
+  USER_TOKEN_TYPES,
+  USER_TOKEN_STATUSES,
+  EMAIL_VERIFICATION_POLICIES,
+  LOGIN_ATTEMPT_TYPES,
+  OTP_PURPOSES,
+  OTP_CHANNELS,
+  AUDIT_EVENTS,
+  AUDIT_OUTCOMES,
+} from "../configs/enums.js";
 
 // destructuring assignments
-
+const {
+  REFRESH_TOKEN_EXPIRY_DAYS,
+  EMAIL_VERIFICATION_POLICY,
+  EMAIL_VERIFICATION_COOLDOWN_SECONDS,
+} = process.env;
 const { usersModel, userTokensModel } = models;
-const { CUSTOMER, ADMIN } = USER_TYPES;
+const { CUSTOMER, ADMIN, SUPER_ADMIN, MULTI } = USER_TYPES;
 const { ACTIVE } = USER_STATUSES;
+const {
+  RESET_PASSWORD,
+  EMAIL_VERIFICATION,
+  ACCOUNT_UNLOCK,
+  REFRESH,
+  MAGIC_LINK,
+  EMAIL_CHANGE,
+  EMAIL_CHANGE_CANCEL,
+  LOGIN_ALERT,
+} = USER_TOKEN_TYPES;
+const { LOGIN } = LOGIN_ATTEMPT_TYPES;
+const { USED } = USER_TOKEN_STATUSES;
+const { EMAIL } = OTP_CHANNELS;
+const { SUCCESS, FAILURE } = AUDIT_OUTCOMES;
 const {
   sendEmail,
   getEmailVerificationEmailTemplate,
   getResetPasswordEmailTemplate,
   getWelcomeUserEmailTemplate,
+  getAccountUnlockEmailTemplate,
+  getMagicLinkEmailTemplate,
+  getEmailChangeEmailTemplate,
+  getEmailChangeNoticeEmailTemplate,
+  getLoginAlertEmailTemplate,
 } = new NodeMailer();
 
 /**
@@ -24,74 +72,661 @@ const {
  * @param {String} password user password
  * @param {String} phone user phone number
  * @param {String} type user type
- * @returns {Object} user data with token
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens
  */
 export const register = async (params) => {
-  const { type } = params;
+  const { type, device, ip, userAgent } = params;
   const user = await usersController.addUser({ ...params });
 
   const profileObj = { user: user._id };
   const userObj = {};
   userObj.user = user._id;
 
-  if (type === CUSTOMER)
+  // multi-profile users sign up with a customer profile, others are added later
+  if (type === CUSTOMER || type === MULTI)
     userObj.customer = (await customersController.addCustomer(profileObj))._id;
   else if (type === ADMIN)
     userObj.admin = (await adminsController.addAdmin(profileObj))._id;
 
   await usersController.updateUser(userObj);
 
-  return user.getSignedjwtToken();
+  if (!user.email || user.isEmailVerified);
+  else
+    try {
+      await emailVerifyEmail({ email: user.email });
+    } catch (error) {
+      console.log("Email verification error", error);
+    }
+
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.REGISTER,
+    outcome: SUCCESS,
+    actor: user._id,
+    target: user._id,
+    ip,
+    userAgent,
+  });
+
+  const profile = type === MULTI ? CUSTOMER : undefined;
+  return await generateTokens({ user, profile, device, ip, userAgent });
 };
 
 /**
  * @description Login user
  * @param {String} email user email address
  * @param {String} password user password
- * @param {String} type user type
- * @returns {Object} user data with token
+ * @param {String} type user type, or profile type for multi-profile users
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens or two-factor challenge
  */
 export const login = async (params) => {
-  const { email, password, type } = params;
+  const { email, password, type, device, ip, userAgent } = params;
 
   const query = {};
 
   if (email && password) query.email = email;
   else throw new Error("Please enter login credentials!|||400");
 
+  await loginAttemptsController.checkLoginAttempts({ ip, type: LOGIN });
+
   const userExists = await usersModel.findOne(query).populate();
   if (userExists);
-  else throw new Error("User not registered!|||404");
+  else {
+    await recordFailedLogin({
+      ip,
+      userAgent,
+      email,
+      reason: "User not registered",
+    });
+    throw new Error("User not registered!|||404");
+  }
 
-  if (userExists.type === type);
+  if (userExists.type === type || userExists.type === MULTI);
   else throw new Error("User not found!|||404");
 
+  await loginAttemptsController.checkLoginAttempts({
+    user: userExists._id,
+    type: LOGIN,
+  });
+
   if (await userExists.validatePassword(password));
-  else throw new Error("Invalid password!|||401");
+  else {
+    await recordFailedLogin({
+      user: userExists,
+      ip,
+      userAgent,
+      reason: "Invalid password",
+    });
+    throw new Error("Invalid password!|||401");
+  }
+
+  await loginAttemptsController.resetLoginAttempts({
+    user: userExists._id,
+    type: LOGIN,
+  });
+
+  checkLoginStatus(userExists);
+  await checkPasswordResetRequirement(userExists);
+
+  return await completeLogin({
+    user: userExists,
+    profile: type,
+    device,
+    ip,
+    userAgent,
+  });
+};
+
+/**
+ * @description Login user with two-factor code after password verification
+ * @param {String} twoFactorToken two-factor challenge token
+ * @param {String} code TOTP code or recovery code
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens
+ */
+export const loginTwoFactor = async (params) => {
+  const { twoFactorToken, code, ip, userAgent } = params;
+  if (twoFactorToken);
+  else throw new Error("Please enter two-factor token!|||400");
+
+  let verificationObject;
+  try {
+    verificationObject = new JWTManager().verify({ token: twoFactorToken });
+  } catch (error) {
+    throw new Error("Invalid or expired two-factor token!|||401");
+  }
+  if (verificationObject.shouldValidateTwoFactor);
+  else throw new Error("Invalid or expired two-factor token!|||401");
+
+  const user = verificationObject._id;
+  await loginAttemptsController.checkLoginAttempts({ user, ip, type: LOGIN });
+
+  let userExists;
+  try {
+    userExists = await twoFactorController.verifyTwoFactorCode({ user, code });
+  } catch (error) {
+    await recordFailedLogin({
+      user: await usersModel.findById(user),
+      ip,
+      userAgent,
+      reason: "Invalid two-factor code",
+    });
+    throw error;
+  }
+  await loginAttemptsController.resetLoginAttempts({ user, type: LOGIN });
+
+  checkLoginStatus(userExists);
+  await checkPasswordResetRequirement(userExists);
+
+  const isRestored = await restoreDeletedUser(userExists);
+  await recordLogin({
+    user: userExists,
+    device: verificationObject.device,
+    ip,
+    userAgent,
+  });
+
+  const tokens = await generateTokens({
+    user: userExists,
+    profile: verificationObject.profile,
+    device: verificationObject.device,
+    ip,
+    userAgent,
+  });
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.LOGIN,
+    outcome: SUCCESS,
+    actor: userExists._id,
+    target: userExists._id,
+    ip,
+    userAgent,
+    metadata: { isTwoFactor: true },
+  });
+  return isRestored ? { ...tokens, isRestored } : tokens;
+};
+
+/**
+ * @description Login user after changing password required by admin
+ * @param {String} passwordChangeToken password change challenge token
+ * @param {String} password new user password
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens or two-factor challenge
+ */
+export const loginPasswordChange = async (params) => {
+  const { passwordChangeToken, password, ip, userAgent } = params;
+  if (passwordChangeToken);
+  else throw new Error("Please enter password change token!|||400");
+
+  let verificationObject;
+  try {
+    verificationObject = new JWTManager().verify({
+      token: passwordChangeToken,
+    });
+  } catch (error) {
+    throw new Error("Invalid or expired password change token!|||401");
+  }
+  if (verificationObject.shouldChangePassword);
+  else throw new Error("Invalid or expired password change token!|||401");
+
+  const userExists = await usersModel
+    .findById(verificationObject._id)
+    .select("+isPasswordChangeRequired");
+  if (userExists?.isPasswordChangeRequired);
+  else throw new Error("Invalid or expired password change token!|||401");
+  checkLoginStatus(userExists);
+
+  await userExists.setPassword(password);
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.PASSWORD_CHANGE,
+    outcome: SUCCESS,
+    actor: userExists._id,
+    target: userExists._id,
+    ip,
+    userAgent,
+  });
+
+  return await completeLogin({
+    user: userExists,
+    profile: verificationObject.profile,
+    device: verificationObject.device,
+    ip,
+    userAgent,
+  });
+};
+
+/**
+ * @description Login user with verified OTP, signing up new phone numbers
+ * @param {String} phone user phone number
+ * @param {String} email user email address
+ * @param {String} type user type for sign up, or profile type for multi-profile
+ * users
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens or two-factor challenge
+ */
+export const otpLogin = async (params) => {
+  const { phone, email, device, ip, userAgent } = params;
+  let { type } = params;
+
+  const userExists = await usersController.getUser({ phone, email });
+  if (userExists) {
+    checkLoginStatus(userExists);
+    return await completeLogin({
+      user: userExists,
+      profile: type,
+      device,
+      ip,
+      userAgent,
+    });
+  }
+
+  if (phone);
+  else throw new Error("User not registered!|||404");
+  if (type === CUSTOMER || type === MULTI);
+  else type = CUSTOMER;
+
+  const tokens = await register({
+    phone,
+    password: crypto.randomBytes(32).toString("hex"),
+    isPasswordSet: false,
+    isProfileCompleted: false,
+    type,
+    device,
+    ip,
+    userAgent,
+  });
+  return { ...tokens, isNewUser: true };
+};
+
+/**
+ * @description Send login link email bound to requesting browser
+ * @param {String} email user email address
+ * @returns {Object} browser token to be sent along with login link token
+ */
+export const emailMagicLink = async (params) => {
+  const { email } = params;
+
+  const userExists = await usersModel.findOne({ email });
+  if (userExists);
+  else throw new Error("User with given email doesn't exist!|||404");
+  checkLoginStatus(userExists);
+
+  // a new request supersedes any earlier link
+  await userTokensModel.deleteMany({ user: userExists._id, type: MAGIC_LINK });
+  const tokenExpirationTime = new Date();
+  tokenExpirationTime.setMinutes(tokenExpirationTime.getMinutes() + 10);
+  const userToken = await generateEmailToken({
+    email,
+    tokenExpirationTime,
+    type: MAGIC_LINK,
+  });
+  const { user, token } = userToken;
+  const browserToken = crypto.randomBytes(32).toString("hex");
+  // link token is stored hashed, like refresh tokens
+  userToken.token = hashToken(token);
+  userToken.binding = hashToken(browserToken);
+  await userToken.save();
+
+  const args = {};
+  args.to = email;
+  args.subject = "Login link";
+  args.text = getMagicLinkEmailTemplate({ user, token });
+  await sendEmail(args);
+  return { browserToken };
+};
+
+/**
+ * @description Login user with login link, confirming with emailed code when
+ * link is opened on a browser other than the requesting one
+ * @param {String} user user id
+ * @param {String} token login link token
+ * @param {String} browserToken requesting browser token
+ * @param {String} code confirmation code
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens, two-factor challenge or
+ * confirmation challenge
+ */
+export const magicLinkLogin = async (params) => {
+  const { user, token, browserToken, code, device, ip, userAgent } = params;
+
+  if (isValidObjectId(user) && typeof token === "string");
+  else throw new Error("Invalid link!|||400");
+
+  const userTokenExists = await userTokensModel
+    .findOne({
+      user,
+      token: hashToken(token),
+      type: MAGIC_LINK,
+      expireAt: { $gt: new Date() },
+    })
+    .select("+binding");
+  if (userTokenExists);
+  else throw new Error("Invalid or expired link!|||400");
+
+  const userExists = await usersModel.findById(user);
+  if (userExists);
+  else throw new Error("Invalid link!|||400");
+
+  if (
+    typeof browserToken === "string" &&
+    hashToken(browserToken) === userTokenExists.binding
+  );
+  else if (code)
+    await otpsController.verifyOTP({
+      email: userExists.email,
+      purpose: OTP_PURPOSES.MAGIC_LINK,
+      code,
+    });
+  else {
+    // a forwarded link is useless without access to the mailbox itself
+    await otpsController.sendOTP({
+      user,
+      purpose: OTP_PURPOSES.MAGIC_LINK,
+      channel: EMAIL,
+      ip,
+      userAgent,
+    });
+    return { isConfirmationRequired: true };
+  }
+
+  await userTokenExists.deleteOne();
+
+  checkLoginStatus(userExists);
+
+  // clicking the link proves ownership of the email address
+  if (userExists.isEmailVerified);
+  else {
+    userExists.isEmailVerified = true;
+    await userExists.save();
+  }
+
+  return await completeLogin({ user: userExists, device, ip, userAgent });
+};
+
+/**
+ * @description Login user with verified social provider token
+ * @param {String} provider social provider name
+ * @param {String} token provider ID token, access token or authorization code
+ * @param {String} codeVerifier PKCE code verifier of authorization code
+ * @param {String} redirectURI redirect URI of authorization code
+ * @param {String} email user email address for providers not sharing one
+ * @param {String} type user type for first login, or profile type for
+ * multi-profile users
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens or two-factor challenge
+ */
+export const socialLogin = async (params) => {
+  const { provider, token, codeVerifier, redirectURI, device, ip, userAgent } =
+    params;
+  let { email, type } = params;
+
+  const profile = await new SocialAuthManager().verifyToken({
+    provider,
+    token,
+    codeVerifier,
+    redirectURI,
+  });
+  const field = provider + "ID";
+
+  let userExists = await usersModel.findOne({ [field]: profile.id });
+  if (userExists);
+  else if (profile.email && profile.isEmailVerified) {
+    // link provider to existing account only on provider verified email
+    userExists = await usersModel.findOne({ email: profile.email });
+    if (userExists) {
+      userExists[field] = profile.id;
+      userExists.isEmailVerified = true;
+      await userExists.save();
+    }
+  }
+
+  if (userExists) {
+    checkLoginStatus(userExists);
+    return await completeLogin({
+      user: userExists,
+      profile: type,
+      device,
+      ip,
+      userAgent,
+    });
+  }
+
+  if (profile.isEmailVerified || !email) email = profile.email;
+  if (email);
+  else throw new Error("Please enter email address!|||400");
+  if (await usersModel.exists({ email }))
+    throw new Error(
+      "Email already registered, please login and link your account!|||409"
+    );
+  if (type === CUSTOMER || type === MULTI);
+  else type = CUSTOMER;
+
+  return await register({
+    email,
+    password: crypto.randomBytes(32).toString("hex"),
+    isPasswordSet: false,
+    isEmailVerified: profile.isEmailVerified,
+    type,
+    name: profile.name,
+    [field]: profile.id,
+    device,
+    ip,
+    userAgent,
+  });
+};
+
+/**
+ * @description Link social provider to user account
+ * @param {String} user user id
+ * @param {String} provider social provider name
+ * @param {String} token provider ID token, access token or authorization code
+ * @param {String} codeVerifier PKCE code verifier of authorization code
+ * @param {String} redirectURI redirect URI of authorization code
+ * @returns {Object} user data
+ */
+export const linkSocialAccount = async (params) => {
+  const { user, provider, token, codeVerifier, redirectURI } = params;
+
+  const profile = await new SocialAuthManager().verifyToken({
+    provider,
+    token,
+    codeVerifier,
+    redirectURI,
+  });
+  const field = provider + "ID";
+
+  const userLinked = await usersModel.findOne({ [field]: profile.id });
+  if (userLinked && !userLinked._id.equals(user))
+    throw new Error("Social account already linked to another user!|||409");
+
+  const userExists = await usersModel.findByIdAndUpdate(
+    user,
+    { [field]: profile.id },
+    { new: true }
+  );
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  return userExists;
+};
+
+/**
+ * @description Generate user access and refresh tokens
+ * @param {Object} user user data
+ * @param {String} session session id, a new session is started if omitted
+ * @param {String} profile active profile of multi-profile user
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens
+ */
+export const generateTokens = async (params) => {
+  const { user, profile, device, ip, userAgent } = params;
+  let { session } = params;
+  if (session);
+  else
+    session = (
+      await sessionsController.addSession({
+        user: user._id,
+        device,
+        ip,
+        userAgent,
+        profile,
+      })
+    )._id;
+
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+  const tokenExpirationTime = new Date();
+  tokenExpirationTime.setDate(
+    tokenExpirationTime.getDate() + Number(REFRESH_TOKEN_EXPIRY_DAYS || 30)
+  );
+  const userTokenObj = {};
+  userTokenObj.user = user._id;
+  userTokenObj.token = hashToken(refreshToken);
+  userTokenObj.type = REFRESH;
+  userTokenObj.family = session.toString();
+  userTokenObj.expireAt = tokenExpirationTime;
+  await userTokensModel.create(userTokenObj);
+  await sessionsController.updateSession({
+    session,
+    lastUsedAt: new Date(),
+    expireAt: tokenExpirationTime,
+    profile,
+  });
+  return { token: user.getSignedjwtToken({ session, profile }), refreshToken };
+};
+
+/**
+ * @description Rotate user refresh token
+ * @param {String} refreshToken user refresh token
+ * @returns {Object} user access and refresh tokens
+ */
+export const refreshTokens = async (params) => {
+  const { refreshToken } = params;
+  if (refreshToken);
+  else throw new Error("Please enter refresh token!|||400");
+
+  const userTokenExists = await userTokensModel.findOne({
+    token: hashToken(refreshToken),
+    type: REFRESH,
+  });
+  if (userTokenExists && userTokenExists.expireAt > new Date());
+  else throw new Error("Invalid or expired refresh token!|||401");
 
-  if (userExists.status === ACTIVE);
-  else throw new Error(`User ${userExists.status}!|||403`);
+  const { family: session } = userTokenExists;
 
-  await usersModel.updateOne(
-    { _id: userExists._id },
-    { lastLogin: new Date() }
+  // an already rotated token means it has leaked, so the whole session goes
+  const userTokenRotated = await userTokensModel.findOneAndUpdate(
+    { _id: userTokenExists._id, status: USER_TOKEN_STATUSES.ACTIVE },
+    { status: USED }
   );
+  if (userTokenRotated);
+  else {
+    await sessionsController.revokeSession({ session });
+    throw new Error("Refresh token reused, please login again!|||401");
+  }
+
+  const sessionExists = await sessionsController.getSession({ session });
+  if (sessionExists);
+  else throw new Error("Session expired, please login again!|||401");
+
+  const userExists = await usersModel.findById(userTokenExists.user);
+  if (userExists && userExists.status === ACTIVE);
+  else {
+    await sessionsController.revokeSession({ session });
+    throw new Error("Unauthorized!|||401");
+  }
+
+  return await generateTokens({
+    user: userExists,
+    session,
+    profile: sessionExists.profile,
+  });
+};
+
+/**
+ * @description Switch active profile of multi-profile user mid-session
+ * @param {String} user user id
+ * @param {String} session current session id
+ * @param {String} profile profile type
+ * @returns {Object} user access and refresh tokens carrying new profile
+ */
+export const switchProfile = async (params) => {
+  const { user, session, profile } = params;
+
+  const userExists = await usersModel.findById(user);
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  if (userExists.type === MULTI);
+  else throw new Error("User doesn't hold multiple profiles!|||400");
+  if (profile);
+  else throw new Error("Please enter profile!|||400");
 
-  return userExists.getSignedjwtToken();
+  // the refresh token in use keeps working and picks up the new profile
+  return await generateTokens({
+    user: userExists,
+    session,
+    profile: await getActiveProfile({ user: userExists, profile }),
+  });
+};
+
+/**
+ * @description Logout user from current or all sessions
+ * @param {String} user user id
+ * @param {String} session current session id
+ * @param {Boolean} isAllDevices all sessions logout check
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {null} null
+ */
+export const logout = async (params) => {
+  const { user, session, isAllDevices, ip, userAgent } = params;
+  if (isAllDevices) await sessionsController.revokeSessions({ user });
+  else await sessionsController.revokeSession({ session, user });
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.LOGOUT,
+    outcome: SUCCESS,
+    actor: user,
+    target: user,
+    ip,
+    userAgent,
+    metadata: { isAllDevices: !!isAllDevices },
+  });
 };
 
 /**
  * @description Send reset password email
  * @param {String} email user email address
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
  * @returns {Object} user password reset result
  */
 export const emailResetPassword = async (params) => {
-  const { email } = params;
+  const { email, ip, userAgent } = params;
   const tokenExpirationTime = new Date();
   tokenExpirationTime.setMinutes(tokenExpirationTime.getMinutes() + 10);
   const { user, token } = await generateEmailToken({
     email,
     tokenExpirationTime,
+    type: RESET_PASSWORD,
+  });
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.PASSWORD_RESET_REQUEST,
+    outcome: SUCCESS,
+    target: user,
+    ip,
+    userAgent,
   });
   const args = {};
   args.to = email;
@@ -107,12 +742,38 @@ export const emailResetPassword = async (params) => {
  */
 export const emailVerifyEmail = async (params) => {
   const { email } = params;
+
+  const userExists = await usersModel
+    .findOne({ email })
+    .select("+emailVerificationSentAt");
+  if (userExists);
+  else throw new Error("User with given email doesn't exist!|||404");
+  if (userExists.isEmailVerified)
+    throw new Error("Email already verified!|||400");
+
+  const cooldown = Number(EMAIL_VERIFICATION_COOLDOWN_SECONDS || 60) * 1000;
+  const elapsedTime = Date.now() - (userExists.emailVerificationSentAt ?? 0);
+  if (elapsedTime < cooldown)
+    throw new Error(
+      `Please wait ${Math.ceil(
+        (cooldown - elapsedTime) / 1000
+      )} seconds before requesting another email!|||429`
+    );
+
+  // a resend supersedes any earlier link
+  await userTokensModel.deleteMany({
+    user: userExists._id,
+    type: EMAIL_VERIFICATION,
+  });
   const tokenExpirationTime = new Date();
   tokenExpirationTime.setMinutes(tokenExpirationTime.getMinutes() + 10);
   const { user, token } = await generateEmailToken({
     email,
     tokenExpirationTime,
+    type: EMAIL_VERIFICATION,
   });
+  userExists.emailVerificationSentAt = new Date();
+  await userExists.save();
   const args = {};
   args.to = email;
   args.subject = "Email verification";
@@ -139,21 +800,25 @@ export const emailWelcomeUser = async (params) => {
  * @description Generate user email token
  * @param {String} email user email address
  * @param {Date} tokenExpirationTime email token expiration time
+ * @param {String} type email token type
  * @returns {Object} user email token
  */
 export const generateEmailToken = async (params) => {
-  const { email, tokenExpirationTime } = params;
+  const { email, tokenExpirationTime, type } = params;
   const userExists = await usersModel.findOne({ email });
   if (userExists);
   else throw new Error("User with given email doesn't exist!|||404");
   let userTokenExists = await userTokensModel.findOne({
     user: userExists._id,
+    type,
+    expireAt: { $gt: new Date() },
   });
   if (userTokenExists);
   else {
     const userTokenObj = {};
     userTokenObj.user = userExists._id;
-    userTokenObj.token = userExists.getSignedjwtToken();
+    userTokenObj.token = crypto.randomBytes(32).toString("hex");
+    userTokenObj.type = type;
     userTokenObj.expireAt = tokenExpirationTime;
     const UserTokensModel = userTokensModel;
     userTokenExists = await new UserTokensModel(userTokenObj).save();
@@ -166,10 +831,15 @@ export const generateEmailToken = async (params) => {
  * @param {String} user user id
  * @param {String} password user password
  * @param {String} token reset password token
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
  * @returns {Object} user password reset result
  */
 export const resetPassword = async (params) => {
-  const { password, user, token } = params;
+  const { password, user, token, ip, userAgent } = params;
+
+  if (isValidObjectId(user) && typeof token === "string");
+  else throw new Error("Invalid link!|||400");
 
   const userExists = await usersModel.findById(user);
   if (userExists);
@@ -178,12 +848,74 @@ export const resetPassword = async (params) => {
   const userTokenExists = await userTokensModel.findOne({
     user,
     token,
+    type: RESET_PASSWORD,
+    expireAt: { $gt: new Date() },
   });
+  const auditEventObj = {};
+  auditEventObj.event = AUDIT_EVENTS.PASSWORD_RESET;
+  auditEventObj.target = userExists._id;
+  auditEventObj.ip = ip;
+  auditEventObj.userAgent = userAgent;
   if (userTokenExists);
-  else throw new Error("Invalid or expired link!|||400");
+  else {
+    auditEventObj.outcome = FAILURE;
+    await auditEventsController.addAuditEvent(auditEventObj);
+    throw new Error("Invalid or expired link!|||400");
+  }
 
+  userExists.isPasswordResetRequired = false;
   await userExists.setPassword(password);
-  await userTokenExists.delete();
+  await userTokenExists.deleteOne();
+  await sessionsController.revokeSessions({ user: userExists._id });
+  await loginAttemptsController.resetLoginAttempts({ user: userExists._id });
+  auditEventObj.outcome = SUCCESS;
+  await auditEventsController.addAuditEvent(auditEventObj);
+};
+
+/**
+ * @description Send account unlock email
+ * @param {String} email user email address
+ * @returns {Object} account unlock email result
+ */
+export const emailUnlockAccount = async (params) => {
+  const { email } = params;
+  const tokenExpirationTime = new Date();
+  tokenExpirationTime.setHours(tokenExpirationTime.getHours() + 1);
+  const { user, token } = await generateEmailToken({
+    email,
+    tokenExpirationTime,
+    type: ACCOUNT_UNLOCK,
+  });
+  const args = {};
+  args.to = email;
+  args.subject = "Account locked";
+  args.text = getAccountUnlockEmailTemplate({ user, token });
+  return await sendEmail(args);
+};
+
+/**
+ * @description Unlock user account locked by failed login attempts
+ * @param {String} user user id
+ * @param {String} token account unlock token
+ * @returns {null} null
+ */
+export const unlockAccount = async (params) => {
+  const { user, token } = params;
+
+  if (isValidObjectId(user) && typeof token === "string");
+  else throw new Error("Invalid link!|||400");
+
+  const userTokenExists = await userTokensModel.findOne({
+    user,
+    token,
+    type: ACCOUNT_UNLOCK,
+    expireAt: { $gt: new Date() },
+  });
+  if (userTokenExists);
+  else throw new Error("Invalid or expired link!|||400");
+
+  await loginAttemptsController.resetLoginAttempts({ user, type: LOGIN });
+  await userTokenExists.deleteOne();
 };
 
 /**
@@ -195,6 +927,126 @@ export const resetPassword = async (params) => {
 export const verifyUserEmail = async (params) => {
   const { user, token } = params;
 
+  if (isValidObjectId(user) && typeof token === "string");
+  else throw new Error("Invalid link!|||400");
+
+  const userExists = await usersModel.findById(user);
+  if (userExists);
+  else throw new Error("Invalid link!|||400");
+
+  const userTokenExists = await userTokensModel.findOne({
+    user,
+    token,
+    type: EMAIL_VERIFICATION,
+    expireAt: { $gt: new Date() },
+  });
+  if (userTokenExists);
+  else throw new Error("Invalid or expired link!|||400");
+
+  userExists.isEmailVerified = true;
+  await userExists.save();
+  await userTokenExists.deleteOne();
+};
+
+/**
+ * @description Send email change confirmation link to new email address and
+ * cancellation link to current one
+ * @param {String} user user id
+ * @param {String} email new email address
+ * @param {String} password user password
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {null} null
+ */
+export const emailChangeEmail = async (params) => {
+  const { user, password, ip, userAgent } = params;
+  let { email } = params;
+  if (email) email = email.trim().toLowerCase();
+  else throw new Error("Please enter email address!|||400");
+
+  const userExists = await usersModel.findById(user).select("+isPasswordSet");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  if (userExists.email);
+  else throw new Error("Please add email address to your profile first!|||400");
+  // users without a password of their own, e.g. social sign-ups, skip this
+  if (
+    userExists.isPasswordSet &&
+    !(await userExists.validatePassword(password ?? ""))
+  )
+    throw new Error("Invalid password!|||401");
+  if (email === userExists.email)
+    throw new Error("Please enter a different email address!|||400");
+  const UsersModel = usersModel;
+  const validationError = new UsersModel({ email }).validateSync(["email"]);
+  if (validationError)
+    throw new Error(`${validationError.errors.email.message}|||400`);
+  if (await usersModel.exists({ email }))
+    throw new Error("User with given email already exists!|||409");
+
+  // a new request supersedes any earlier one
+  await userTokensModel.deleteMany({
+    user: userExists._id,
+    type: { $in: [EMAIL_CHANGE, EMAIL_CHANGE_CANCEL] },
+  });
+  const tokenExpirationTime = new Date();
+  tokenExpirationTime.setHours(tokenExpirationTime.getHours() + 1);
+  const [confirmToken, cancelToken] = await userTokensModel.create(
+    [EMAIL_CHANGE, EMAIL_CHANGE_CANCEL].map((type) => {
+      const userTokenObj = {};
+      userTokenObj.user = userExists._id;
+      userTokenObj.token = crypto.randomBytes(32).toString("hex");
+      userTokenObj.type = type;
+      userTokenObj.email = email;
+      userTokenObj.expireAt = tokenExpirationTime;
+      return userTokenObj;
+    })
+  );
+
+  let args = {};
+  args.to = email;
+  args.subject = "Confirm email change";
+  args.text = getEmailChangeEmailTemplate({
+    user: userExists._id,
+    token: confirmToken.token,
+  });
+  await sendEmail(args);
+
+  args = {};
+  args.to = userExists.email;
+  args.subject = "Email change requested";
+  args.text = getEmailChangeNoticeEmailTemplate({
+    user: userExists._id,
+    token: cancelToken.token,
+    email,
+  });
+  await sendEmail(args);
+
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.EMAIL_CHANGE_REQUEST,
+    outcome: SUCCESS,
+    actor: userExists._id,
+    target: userExists._id,
+    ip,
+    userAgent,
+    metadata: { email },
+  });
+};
+
+/**
+ * @description Change user email address to the confirmed one
+ * @param {String} user user id
+ * @param {String} token email change token
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user data
+ */
+export const changeEmail = async (params) => {
+  const { user, token, ip, userAgent } = params;
+  // links arrive as JSON, so token must not be a query operator
+  if (isValidObjectId(user) && typeof token === "string");
+  else throw new Error("Invalid link!|||400");
+
   const userExists = await usersModel.findById(user);
   if (userExists);
   else throw new Error("Invalid link!|||400");
@@ -202,29 +1054,414 @@ export const verifyUserEmail = async (params) => {
   const userTokenExists = await userTokensModel.findOne({
     user,
     token,
+    type: EMAIL_CHANGE,
+    expireAt: { $gt: new Date() },
   });
   if (userTokenExists);
   else throw new Error("Invalid or expired link!|||400");
+  if (await usersModel.exists({ email: userTokenExists.email }))
+    throw new Error("User with given email already exists!|||409");
 
+  const previousEmail = userExists.email;
+  userExists.email = userTokenExists.email;
   userExists.isEmailVerified = true;
   await userExists.save();
-  await userTokenExists.delete();
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.EMAIL_CHANGE,
+    outcome: SUCCESS,
+    actor: userExists._id,
+    target: userExists._id,
+    ip,
+    userAgent,
+    metadata: { email: userExists.email, previousEmail },
+  });
+
+  // links sent to the previous email address must stop working
+  await userTokensModel.deleteMany({
+    user: userExists._id,
+    type: {
+      $in: [
+        RESET_PASSWORD,
+        EMAIL_VERIFICATION,
+        MAGIC_LINK,
+        EMAIL_CHANGE,
+        EMAIL_CHANGE_CANCEL,
+      ],
+    },
+  });
+  return userExists;
 };
 
 /**
- * @description register super admin
+ * @description Cancel pending email change from current email address
+ * @param {String} user user id
+ * @param {String} token email change cancellation token
+ * @returns {null} null
+ */
+export const cancelEmailChange = async (params) => {
+  const { user, token } = params;
+  if (isValidObjectId(user) && typeof token === "string");
+  else throw new Error("Invalid link!|||400");
+
+  const userTokenExists = await userTokensModel.findOne({
+    user,
+    token,
+    type: EMAIL_CHANGE_CANCEL,
+    expireAt: { $gt: new Date() },
+  });
+  if (userTokenExists);
+  else throw new Error("Invalid or expired link!|||400");
+
+  await userTokensModel.deleteMany({
+    user,
+    type: { $in: [EMAIL_CHANGE, EMAIL_CHANGE_CANCEL] },
+  });
+};
+
+/**
+ * @description Secure account after login reported as not made by user,
+ * logging out of all devices and requiring password reset
+ * @param {String} user user id
+ * @param {String} token login alert token
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {null} null
+ */
+export const reportLogin = async (params) => {
+  const { user, token, ip, userAgent } = params;
+
+  if (isValidObjectId(user) && typeof token === "string");
+  else throw new Error("Invalid link!|||400");
+
+  const userExists = await usersModel.findById(user);
+  if (userExists);
+  else throw new Error("Invalid link!|||400");
+
+  const userTokenExists = await userTokensModel.findOne({
+    user,
+    token,
+    type: LOGIN_ALERT,
+    expireAt: { $gt: new Date() },
+  });
+  if (userTokenExists);
+  else throw new Error("Invalid or expired link!|||400");
+
+  await userTokensModel.deleteMany({
+    user: userExists._id,
+    type: { $in: [LOGIN_ALERT, RESET_PASSWORD, MAGIC_LINK] },
+  });
+  await sessionsController.revokeSessions({ user: userExists._id });
+  await knownDevicesController.deleteKnownDevices({ user: userExists._id });
+  userExists.isPasswordResetRequired = true;
+  await userExists.save();
+
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.LOGIN_REPORT,
+    outcome: SUCCESS,
+    actor: userExists._id,
+    target: userExists._id,
+    ip,
+    userAgent,
+  });
+  await emailResetPassword({ email: userExists.email, ip, userAgent });
+};
+
+/**
+ * @description Register first super admin, later admins join by invite only
  * @param {String} email user email address
  * @param {String} password user password
- * @param {String} type user type
- * @returns {Object} user data with token
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens
  */
 export const addAdmin = async (params) => {
-  const { email, password, type } = params;
+  const { email, password, device, ip, userAgent } = params;
+
+  if (await usersModel.exists({ type: SUPER_ADMIN }))
+    throw new Error("Super admin already exists, please use an invite!|||403");
 
   const userObj = {};
   if (email) userObj.email = email;
   if (password) userObj.password = password;
-  if (type) userObj.type = type;
+  userObj.type = SUPER_ADMIN;
   const user = await usersController.addUser(userObj);
-  return user.getSignedjwtToken();
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.ADMIN_REGISTER,
+    outcome: SUCCESS,
+    actor: user._id,
+    target: user._id,
+    ip,
+    userAgent,
+    metadata: { type: SUPER_ADMIN },
+  });
+  return await generateTokens({ user, device, ip, userAgent });
 };
+
+/**
+ * @description Accept admin invite setting account password
+ * @param {String} token invite token
+ * @param {String} password user password
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens
+ */
+export const acceptInvite = async (params) => {
+  const { token, password, device, ip, userAgent } = params;
+  if (password);
+  else throw new Error("Please enter password!|||400");
+
+  const invite = await invitesController.useInvite({ token });
+  try {
+    if (await usersModel.exists({ email: invite.email }))
+      throw new Error("User with given email already exists!|||409");
+    const tokens = await register({
+      email: invite.email,
+      password,
+      type: invite.type,
+      isEmailVerified: true,
+      device,
+      ip,
+      userAgent,
+    });
+    const userExists = await usersModel.findOne({ email: invite.email });
+    if (invite.roles.length)
+      await usersModel.updateOne(
+        { _id: userExists._id },
+        { roles: invite.roles }
+      );
+    await auditEventsController.addAuditEvent({
+      event: AUDIT_EVENTS.ADMIN_REGISTER,
+      outcome: SUCCESS,
+      actor: invite.invitedBy,
+      target: userExists._id,
+      ip,
+      userAgent,
+      metadata: { type: invite.type, invite: invite._id },
+    });
+    return tokens;
+  } catch (error) {
+    // invalid passwords should not burn the invite
+    await invitesController.restoreInvite({ invite: invite._id });
+    throw error;
+  }
+};
+
+/**
+ * @description Complete login of authenticated user, challenging for
+ * password change when required by admin and two-factor code when enabled
+ * @param {Object} user user data
+ * @param {String} profile requested profile of multi-profile user
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} user access and refresh tokens, password change challenge
+ * or two-factor challenge
+ */
+const completeLogin = async (params) => {
+  const { user, profile: requestedProfile, device, ip, userAgent } = params;
+
+  checkLoginEmailVerification(user);
+  await checkPasswordResetRequirement(user);
+
+  if (
+    await usersModel.exists({ _id: user._id, isPasswordChangeRequired: true })
+  )
+    return {
+      isPasswordChangeRequired: true,
+      passwordChangeToken: getToken({
+        _id: user._id,
+        profile: requestedProfile,
+        device,
+        shouldChangePassword: true,
+      }),
+    };
+
+  const profile =
+    user.type === MULTI
+      ? await getActiveProfile({ user, profile: requestedProfile })
+      : undefined;
+
+  if (user.isTwoFactorEnabled)
+    return {
+      isTwoFactorRequired: true,
+      twoFactorToken: getToken({
+        _id: user._id,
+        profile,
+        device,
+        shouldValidateTwoFactor: true,
+      }),
+    };
+
+  const isRestored = await restoreDeletedUser(user);
+  await recordLogin({ user, device, ip, userAgent });
+
+  const tokens = await generateTokens({ user, profile, device, ip, userAgent });
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.LOGIN,
+    outcome: SUCCESS,
+    actor: user._id,
+    target: user._id,
+    ip,
+    userAgent,
+  });
+  return isRestored ? { ...tokens, isRestored } : tokens;
+};
+
+/**
+ * @description Update last login of user, emailing login alert for logins
+ * from new device or unusual location
+ * @param {Object} user user data
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {null} null
+ */
+const recordLogin = async (params) => {
+  const { user, device, ip, userAgent } = params;
+  const { lastLogin, email } = await usersModel
+    .findByIdAndUpdate(user._id, { lastLogin: new Date() })
+    .select("+lastLogin");
+  try {
+    const { isNewDevice, isNewNetwork } =
+      await knownDevicesController.addKnownDevice({
+        user: user._id,
+        device,
+        ip,
+        userAgent,
+      });
+    // first login only introduces the device
+    if (lastLogin && email && (isNewDevice || isNewNetwork));
+    else return;
+
+    const tokenExpirationTime = new Date();
+    tokenExpirationTime.setHours(tokenExpirationTime.getHours() + 24);
+    const { token } = await generateEmailToken({
+      email,
+      tokenExpirationTime,
+      type: LOGIN_ALERT,
+    });
+    const args = {};
+    args.to = email;
+    args.subject = "New login to your account";
+    args.text = getLoginAlertEmailTemplate({
+      user: user._id,
+      token,
+      device,
+      ip,
+      userAgent,
+      isNewDevice,
+    });
+    await sendEmail(args);
+  } catch (error) {
+    console.log("Login alert error", error);
+  }
+};
+
+/**
+ * @description Block login of inactive user, except deleted accounts still
+ * within their grace period
+ * @param {Object} user user data
+ * @returns {null} null
+ */
+const checkLoginStatus = (user) => {
+  if (user.status === ACTIVE || usersController.isUserRestorable(user));
+  else throw new Error(`User ${user.status}!|||403`);
+};
+
+/**
+ * @description Check user is not required to reset password after reporting
+ * a login, whichever way user logs in
+ * @param {Object} user user data
+ * @returns {null} null
+ */
+const checkPasswordResetRequirement = async (user) => {
+  if (await usersModel.exists({ _id: user._id, isPasswordResetRequired: true }))
+    throw new Error("Please reset your password to login!|||403");
+};
+
+/**
+ * @description Restore soft deleted user on successful login
+ * @param {Object} user user data
+ * @returns {Boolean} user restored check
+ */
+const restoreDeletedUser = async (user) => {
+  if (user.status === ACTIVE) return false;
+  await usersController.restoreUser({ user: user._id });
+  return true;
+};
+
+/**
+ * @description Get profile to activate for multi-profile user
+ * @param {Object} user user data
+ * @param {String} profile requested profile type, first held one if omitted
+ * @returns {String} profile type
+ */
+const getActiveProfile = async (params) => {
+  const { user, profile } = params;
+  const userExists = await usersModel
+    .findById(user._id)
+    .select("+customer +admin +isCustomer +isAdmin");
+  const profiles = usersController.getUserProfiles(userExists);
+  if (profile && profile !== MULTI) {
+    if (profiles.includes(profile)) return profile;
+    throw new Error("Profile not found!|||404");
+  }
+  if (profiles.length) return profiles[0];
+  throw new Error("User has no profiles!|||403");
+};
+
+/**
+ * @description Record failed login attempt, emailing unlock link on lockout
+ * @param {Object} user user data
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @param {String} email attempted email address of unknown user
+ * @param {String} reason failure reason
+ * @returns {null} null
+ */
+const recordFailedLogin = async (params) => {
+  const { user, ip, userAgent, email, reason } = params;
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.LOGIN,
+    outcome: FAILURE,
+    target: user?._id,
+    ip,
+    userAgent,
+    metadata: user ? { reason } : { reason, email },
+  });
+  const isLocked = await loginAttemptsController.addFailedLoginAttempt({
+    user: user?._id,
+    ip,
+    type: LOGIN,
+  });
+  if (isLocked)
+    try {
+      await emailUnlockAccount({ email: user.email });
+    } catch (error) {
+      console.log("Account unlock email error", error);
+    }
+};
+
+/**
+ * @description Block login of unverified email as per verification policy
+ * @param {Object} user user data
+ * @returns {null} null
+ */
+const checkLoginEmailVerification = (user) => {
+  if (
+    EMAIL_VERIFICATION_POLICY === EMAIL_VERIFICATION_POLICIES.LOGIN &&
+    user.email &&
+    !user.isEmailVerified
+  )
+    throw new Error("Please verify your email address!|||403");
+};
+
+/**
+ * @description Hash token for storage
+ * @param {String} token plain token
+ * @returns {String} token hash
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
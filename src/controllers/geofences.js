@@ -0,0 +1,422 @@
+// module imports
+import { isValidObjectId, Types } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+import * as notificationsController from "./notifications.js";
+import {
+  GEO_JSON_TYPES,
+  GEOFENCE_TRANSITIONS,
+  NOTIFICATION_TYPES,
+} from "../configs/enums.js";
+
+// destructuring assignments
+const { geofencesModel, geofenceEventsModel, usersModel, notificationsModel } =
+  models;
+const { POINT, POLYGON, MULTIPOLYGON } = GEO_JSON_TYPES;
+const { ENTER, EXIT } = GEOFENCE_TRANSITIONS;
+const { GEOFENCE_ENTER, GEOFENCE_EXIT } = NOTIFICATION_TYPES;
+const { ObjectId } = Types;
+
+/**
+ * @description Add geofence
+ * @param {String} name geofence name
+ * @param {String} description geofence description
+ * @param {Object} area geofence GeoJSON Polygon or MultiPolygon
+ * @param {Boolean} isActive geofence activation check
+ * @param {String} createdBy creator user id
+ * @returns {Object} geofence data
+ */
+export const addGeofence = async (params) => {
+  const { name, description, area, isActive, createdBy } = params;
+  const geofenceObj = {};
+
+  if (name) geofenceObj.name = name;
+  else throw new Error("Please enter geofence name!|||400");
+  if (await geofencesModel.exists({ name: name.trim() }))
+    throw new Error("Geofence already exists!|||409");
+  if (description) geofenceObj.description = description;
+  geofenceObj.area = validateArea(area);
+  if (typeof isActive === "boolean") geofenceObj.isActive = isActive;
+  if (createdBy) geofenceObj.createdBy = createdBy;
+
+  return await geofencesModel.create(geofenceObj);
+};
+
+/**
+ * @description Update geofence data
+ * @param {String} geofence geofence id
+ * @param {String} name geofence name
+ * @param {String} description geofence description
+ * @param {Object} area geofence GeoJSON Polygon or MultiPolygon
+ * @param {Boolean} isActive geofence activation check
+ * @returns {Object} geofence data
+ */
+export const updateGeofence = async (params) => {
+  const { geofence, name, description, area, isActive } = params;
+  const geofenceObj = {};
+
+  if (geofence);
+  else throw new Error("Please enter geofence id!|||400");
+  if (isValidObjectId(geofence));
+  else throw new Error("Please enter valid geofence id!|||400");
+
+  if (name) {
+    if (
+      await geofencesModel.exists({
+        name: name.trim(),
+        _id: { $ne: geofence },
+      })
+    )
+      throw new Error("Geofence already exists!|||409");
+    geofenceObj.name = name;
+  }
+  if (description !== undefined) geofenceObj.description = description;
+  if (area) geofenceObj.area = validateArea(area);
+  if (typeof isActive === "boolean") geofenceObj.isActive = isActive;
+
+  const geofenceExists = await geofencesModel.findByIdAndUpdate(
+    geofence,
+    geofenceObj,
+    { new: true, runValidators: true }
+  );
+  if (geofenceExists);
+  else throw new Error("Geofence not found!|||404");
+
+  // users inside the old area or the new one enter or exit it right away
+  if (area || isActive === false) {
+    const query = { geofences: geofenceExists._id };
+    const usersExist = await usersModel
+      .find(
+        area && geofenceExists.isActive
+          ? {
+              $or: [
+                query,
+                {
+                  location: {
+                    $geoIntersects: { $geometry: geofenceExists.area },
+                  },
+                  // default location of users who never shared one
+                  "location.coordinates": { $ne: [0, 0] },
+                },
+              ],
+            }
+          : query
+      )
+      .select("location");
+    for (const element of usersExist)
+      await checkGeofences({
+        user: element._id,
+        coordinates: element.location.coordinates,
+      });
+  }
+  return geofenceExists;
+};
+
+/**
+ * @description Delete geofence, exiting users inside it
+ * @param {String} geofence geofence id
+ * @returns {Object} geofence data
+ */
+export const deleteGeofence = async (params) => {
+  const { geofence } = params;
+  if (geofence);
+  else throw new Error("Please enter geofence id!|||400");
+  if (isValidObjectId(geofence));
+  else throw new Error("Please enter valid geofence id!|||400");
+  const geofenceExists = await geofencesModel.findByIdAndDelete(geofence);
+  if (geofenceExists);
+  else throw new Error("Geofence not found!|||404");
+
+  const usersExist = await usersModel
+    .find({ geofences: geofence })
+    .select("location");
+  await usersModel.updateMany(
+    { geofences: geofence },
+    { $pull: { geofences: geofence } }
+  );
+  for (const element of usersExist)
+    await recordGeofenceTransition({
+      user: element._id,
+      geofence: geofenceExists,
+      transition: EXIT,
+      location: { type: POINT, coordinates: element.location.coordinates },
+    });
+  await notificationsModel.updateMany(
+    { geofence },
+    { $unset: { geofence: 1 } }
+  );
+  return geofenceExists;
+};
+
+/**
+ * @description Get geofence
+ * @param {String} geofence geofence id
+ * @returns {Object} geofence data
+ */
+export const getGeofence = async (params) => {
+  const { geofence } = params;
+  if (geofence);
+  else throw new Error("Please enter geofence id!|||400");
+  if (isValidObjectId(geofence));
+  else throw new Error("Please enter valid geofence id!|||400");
+  const geofenceExists = await geofencesModel.findById(geofence).select("-__v");
+  if (geofenceExists);
+  else throw new Error("Geofence not found!|||404");
+  return geofenceExists;
+};
+
+/**
+ * @description Get geofences
+ * @param {String} keyword search keyword
+ * @param {Boolean} isActive geofence activation check
+ * @param {Number} limit geofences limit
+ * @param {Number} page geofences page number
+ * @returns {Object} geofence data
+ */
+export const getGeofences = async (params) => {
+  const { isActive } = params;
+  let { page, limit, keyword } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+  const query = {};
+  if (keyword) {
+    keyword = keyword.trim();
+    if (keyword !== "") query.name = { $regex: keyword, $options: "i" };
+  }
+  if (typeof isActive === "boolean") query.isActive = isActive;
+  const [result] = await geofencesModel.aggregate([
+    { $match: query },
+    { $sort: { createdAt: -1 } },
+    { $project: { __v: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
+
+/**
+ * @description Detect geofence enter and exit transitions of user location,
+ * recording and notifying each of them
+ * @param {String} user user id
+ * @param {[Number]} coordinates user location longitude and latitude
+ * @returns {[Object]} geofence event data
+ */
+export const checkGeofences = async (params) => {
+  const { user, coordinates } = params;
+  const userExists = await usersModel.findById(user).select("+geofences");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+
+  const location = { type: POINT, coordinates };
+  const geofencesEntered = await geofencesModel
+    .find({
+      isActive: true,
+      area: { $geoIntersects: { $geometry: location } },
+    })
+    .select("name");
+  const geofencesInside = geofencesEntered.map((element) =>
+    element._id.toString()
+  );
+  const geofencesPrevious = userExists.geofences.map((element) =>
+    element.toString()
+  );
+
+  const transitions = [
+    ...geofencesEntered
+      .filter((element) => !geofencesPrevious.includes(element._id.toString()))
+      .map((element) => ({ geofence: element, transition: ENTER })),
+    ...geofencesPrevious
+      .filter((element) => !geofencesInside.includes(element))
+      .map((element) => ({ geofence: element, transition: EXIT })),
+  ];
+  if (transitions.length === 0) return [];
+
+  await usersModel.updateOne(
+    { _id: userExists._id },
+    { geofences: geofencesInside }
+  );
+
+  // names of exited geofences are not part of the intersection result
+  const geofencesExited = await geofencesModel
+    .find({
+      _id: {
+        $in: transitions
+          .filter((element) => element.transition === EXIT)
+          .map((element) => element.geofence),
+      },
+    })
+    .select("name");
+
+  const geofenceEvents = [];
+  for (const { geofence, transition } of transitions) {
+    const geofenceExists =
+      transition === ENTER
+        ? geofence
+        : geofencesExited.find((element) => element._id.equals(geofence));
+    // geofence deleted in the meantime
+    if (geofenceExists);
+    else continue;
+
+    const geofenceEvent = await recordGeofenceTransition({
+      user: userExists._id,
+      geofence: geofenceExists,
+      transition,
+      location,
+    });
+    geofenceEvents.push(geofenceEvent);
+  }
+  return geofenceEvents;
+};
+
+/**
+ * @description Get geofence enter and exit history
+ * @param {String} user user id
+ * @param {String} geofence geofence id
+ * @param {String} transition geofence transition
+ * @param {Number} limit geofence events limit
+ * @param {Number} page geofence events page number
+ * @returns {Object} geofence event data
+ */
+export const getGeofenceEvents = async (params) => {
+  const { user, geofence, transition } = params;
+  let { limit, page } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+  const query = {};
+  if (isValidObjectId(user)) query.user = new ObjectId(user);
+  if (isValidObjectId(geofence)) query.geofence = new ObjectId(geofence);
+  if (transition) query.transition = transition;
+  const [result] = await geofenceEventsModel.aggregate([
+    { $match: query },
+    { $sort: { createdAt: -1 } },
+    {
+      $lookup: {
+        from: "geofences",
+        localField: "geofence",
+        foreignField: "_id",
+        as: "geofence",
+        pipeline: [{ $project: { name: 1 } }],
+      },
+    },
+    { $unwind: { path: "$geofence", preserveNullAndEmptyArrays: true } },
+    { $project: { __v: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
+
+/**
+ * @description Validate geofence area as GeoJSON Polygon or MultiPolygon
+ * having closed linear rings
+ * @param {Object} area geofence area
+ * @returns {Object} geofence area
+ */
+const validateArea = (area) => {
+  if (area?.type === POLYGON || area?.type === MULTIPOLYGON);
+  else throw new Error("Please enter valid geofence area type!|||400");
+  const polygons =
+    area.type === POLYGON ? [area.coordinates] : area.coordinates;
+  const isValid =
+    Array.isArray(polygons) &&
+    polygons.length > 0 &&
+    polygons.every(
+      (polygon) =>
+        Array.isArray(polygon) &&
+        polygon.length > 0 &&
+        polygon.every(
+          (ring) =>
+            Array.isArray(ring) &&
+            ring.length >= 4 &&
+            ring.every(
+              (position) =>
+                Array.isArray(position) &&
+                position.length === 2 &&
+                position.every((element) => typeof element === "number")
+            ) &&
+            ring[0][0] === ring[ring.length - 1][0] &&
+            ring[0][1] === ring[ring.length - 1][1]
+        )
+    );
+  if (isValid);
+  else throw new Error("Please enter valid geofence area coordinates!|||400");
+  return { type: area.type, coordinates: area.coordinates };
+};
+
+/**
+ * @description Record geofence transition of user and notify user about it
+ * @param {String} user user id
+ * @param {Object} geofence geofence data
+ * @param {String} transition geofence transition
+ * @param {Object} location user GeoJSON Point
+ * @returns {Object} geofence event data
+ */
+const recordGeofenceTransition = async (params) => {
+  const { user, geofence, transition, location } = params;
+
+  const geofenceEvent = await geofenceEventsModel.create({
+    user,
+    geofence: geofence._id,
+    transition,
+    location,
+  });
+
+  const title = transition === ENTER ? "Geofence entered" : "Geofence exited";
+  const body = `You have ${transition === ENTER ? "entered" : "exited"} ${
+    geofence.name
+  }`;
+  await notificationsController.notifyUsers({
+    user,
+    type: transition === ENTER ? GEOFENCE_ENTER : GEOFENCE_EXIT,
+    useSocket: true,
+    event: "geofenceTransition",
+    socketData: {
+      geofence,
+      transition,
+      location,
+      createdAt: geofenceEvent.createdAt,
+    },
+    useFirebase: true,
+    title,
+    body,
+    firebaseData: { geofence: geofence._id.toString(), transition },
+    useDatabase: true,
+    notificationData: { user, geofence: geofence._id, text: body },
+  });
+  return geofenceEvent;
+};
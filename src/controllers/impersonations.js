@@ -0,0 +1,120 @@
+// module imports
+import { isValidObjectId, Types } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+import JWTManager from "../utils/jwt-manager.js";
+import { USER_STATUSES, USER_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { IMPERSONATION_EXPIRY_MINUTES } = process.env;
+const { impersonationLogsModel, usersModel } = models;
+const { ACTIVE } = USER_STATUSES;
+const { SUPER_ADMIN } = USER_TYPES;
+const { ObjectId } = Types;
+
+/**
+ * @description Issue time-boxed token to act as another user
+ * @param {String} impersonator super admin user id
+ * @param {String} session super admin session id
+ * @param {String} user target user id
+ * @returns {Object} impersonation token and its expiration time
+ */
+export const impersonateUser = async (params) => {
+  const { impersonator, session, user } = params;
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+  if (isValidObjectId(user));
+  else throw new Error("Please enter valid user id!|||400");
+
+  const userExists = await usersModel.findById(user);
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  if (userExists.status === ACTIVE);
+  else throw new Error(`User ${userExists.status}!|||403`);
+  if (userExists.type === SUPER_ADMIN || userExists._id.equals(impersonator))
+    throw new Error("User cannot be impersonated!|||403");
+
+  const minutes = Number(IMPERSONATION_EXPIRY_MINUTES || 30);
+  const expireAt = new Date(Date.now() + minutes * 60 * 1000);
+  // bound to the admin session, so admin logout ends impersonation too
+  const token = new JWTManager().sign({
+    payload: {
+      _id: userExists._id,
+      type: userExists.type,
+      session,
+      impersonator,
+    },
+    expiresIn: minutes * 60,
+  });
+  return { token, expireAt };
+};
+
+/**
+ * @description Add impersonated request log
+ * @param {String} impersonator super admin user id
+ * @param {String} user impersonated user id
+ * @param {String} method request method
+ * @param {String} path request path
+ * @param {Number} statusCode response status code
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} impersonation log data
+ */
+export const addImpersonationLog = async (params) => {
+  const { impersonator, user, method, path, statusCode, ip, userAgent } =
+    params;
+  const impersonationLogObj = {};
+  impersonationLogObj.impersonator = impersonator;
+  impersonationLogObj.user = user;
+  impersonationLogObj.method = method;
+  impersonationLogObj.path = path;
+  if (statusCode) impersonationLogObj.statusCode = statusCode;
+  if (ip) impersonationLogObj.ip = ip;
+  if (userAgent) impersonationLogObj.userAgent = userAgent;
+  return await impersonationLogsModel.create(impersonationLogObj);
+};
+
+/**
+ * @description Get impersonated request logs
+ * @param {String} impersonator super admin user id
+ * @param {String} user impersonated user id
+ * @param {Number} limit logs limit
+ * @param {Number} page logs page number
+ * @returns {Object} impersonation log data
+ */
+export const getImpersonationLogs = async (params) => {
+  const { impersonator, user } = params;
+  let { limit, page } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+  const query = {};
+  if (isValidObjectId(impersonator))
+    query.impersonator = new ObjectId(impersonator);
+  if (isValidObjectId(user)) query.user = new ObjectId(user);
+  const [result] = await impersonationLogsModel.aggregate([
+    { $match: query },
+    { $sort: { createdAt: -1 } },
+    { $project: { __v: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
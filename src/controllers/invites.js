@@ -0,0 +1,174 @@
+// module imports
+import crypto from "crypto";
+import { isValidObjectId } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+import NodeMailer from "../utils/node-mailer.js";
+import { INVITE_STATUSES, USER_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { INVITE_EXPIRY_HOURS } = process.env;
+const { invitesModel, rolesModel, usersModel } = models;
+const { PENDING, ACCEPTED, REVOKED } = INVITE_STATUSES;
+const { ADMIN, SUPER_ADMIN } = USER_TYPES;
+const { sendEmail, getAdminInviteEmailTemplate } = new NodeMailer();
+
+/**
+ * @description Invite admin by email, superseding earlier pending invites
+ * @param {String} invitedBy inviting super admin user id
+ * @param {String} email invitee email address
+ * @param {String} type invitee user type
+ * @param {[String]} roles invitee role ids
+ * @returns {Object} invite data
+ */
+export const addInvite = async (params) => {
+  const { invitedBy, email, type, roles } = params;
+  const inviteObj = {};
+
+  if (email) inviteObj.email = email.trim().toLowerCase();
+  else throw new Error("Please enter email address!|||400");
+  if (await usersModel.exists({ email: inviteObj.email }))
+    throw new Error("User with given email already exists!|||409");
+  if (!type || type === ADMIN || type === SUPER_ADMIN)
+    inviteObj.type = type ?? ADMIN;
+  else throw new Error("Please enter valid user type!|||400");
+  if (roles) {
+    if (Array.isArray(roles) && roles.every((role) => isValidObjectId(role)));
+    else throw new Error("Please enter valid role ids!|||400");
+    const rolesCount = await rolesModel.countDocuments({ _id: { $in: roles } });
+    if (rolesCount === new Set(roles.map(String)).size);
+    else throw new Error("Role not found!|||404");
+    inviteObj.roles = roles;
+  }
+
+  await invitesModel.updateMany(
+    { email: inviteObj.email, status: PENDING },
+    { status: REVOKED }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expireAt = new Date();
+  expireAt.setHours(expireAt.getHours() + Number(INVITE_EXPIRY_HOURS || 72));
+  inviteObj.token = hashToken(token);
+  inviteObj.invitedBy = invitedBy;
+  inviteObj.expireAt = expireAt;
+  const invite = await invitesModel.create(inviteObj);
+
+  const args = {};
+  args.to = invite.email;
+  args.subject = "Admin invitation";
+  args.text = getAdminInviteEmailTemplate({ token, expireAt });
+  await sendEmail(args);
+
+  const inviteData = invite.toObject();
+  delete inviteData.token;
+  return inviteData;
+};
+
+/**
+ * @description Revoke pending invite
+ * @param {String} invite invite id
+ * @returns {Object} invite data
+ */
+export const revokeInvite = async (params) => {
+  const { invite } = params;
+  if (invite);
+  else throw new Error("Please enter invite id!|||400");
+  if (isValidObjectId(invite));
+  else throw new Error("Please enter valid invite id!|||400");
+  const inviteExists = await invitesModel.findOneAndUpdate(
+    { _id: invite, status: PENDING },
+    { status: REVOKED },
+    { new: true }
+  );
+  if (inviteExists);
+  else throw new Error("Invite not found!|||404");
+  return inviteExists;
+};
+
+/**
+ * @description Get invites, pending unexpired ones by default
+ * @param {String} status invite status
+ * @param {Number} limit invites limit
+ * @param {Number} page invites page number
+ * @returns {Object} invite data
+ */
+export const getInvites = async (params) => {
+  const { status } = params;
+  let { limit, page } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+  const query = {};
+  query.status = status ?? PENDING;
+  if (query.status === PENDING) query.expireAt = { $gt: new Date() };
+  const [result] = await invitesModel.aggregate([
+    { $match: query },
+    { $sort: { createdAt: -1 } },
+    { $project: { token: 0, __v: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
+
+/**
+ * @description Mark invite as accepted so it cannot be used again
+ * @param {String} token plain invite token
+ * @returns {Object} invite data
+ */
+export const useInvite = async (params) => {
+  const { token } = params;
+  if (token);
+  else throw new Error("Please enter invite token!|||400");
+  const inviteExists = await invitesModel.findOneAndUpdate(
+    {
+      token: hashToken(String(token)),
+      status: PENDING,
+      expireAt: { $gt: new Date() },
+    },
+    { status: ACCEPTED },
+    { new: true }
+  );
+  if (inviteExists);
+  else throw new Error("Invalid or expired invite!|||400");
+  return inviteExists;
+};
+
+/**
+ * @description Restore accepted invite back to pending
+ * @param {String} invite invite id
+ * @returns {null} null
+ */
+export const restoreInvite = async (params) => {
+  const { invite } = params;
+  await invitesModel.updateOne(
+    { _id: invite, status: ACCEPTED },
+    { status: PENDING }
+  );
+};
+
+/**
+ * @description Hash invite token for storage
+ * @param {String} token plain invite token
+ * @returns {String} invite token hash
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
@@ -0,0 +1,92 @@
+// module imports
+import crypto from "crypto";
+import { isIPv4, isIPv6 } from "net";
+
+// file imports
+import models from "../models/index.js";
+
+// destructuring assignments
+const { knownDevicesModel } = models;
+
+/**
+ * @description Record login device, adding it or its network to known ones
+ * @param {String} user user id
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {Object} new device and new network checks
+ */
+export const addKnownDevice = async (params) => {
+  const { user, device, ip, userAgent } = params;
+  const fingerprint = getFingerprint({ device, userAgent });
+  const network = getNetwork(ip);
+
+  const knownDeviceExists = await knownDevicesModel.findOne({
+    user,
+    fingerprint,
+  });
+  if (knownDeviceExists) {
+    const isNewNetwork =
+      !!network && !knownDeviceExists.networks.includes(network);
+    if (isNewNetwork) knownDeviceExists.networks.push(network);
+    knownDeviceExists.lastLoginAt = new Date();
+    await knownDeviceExists.save();
+    return { isNewDevice: false, isNewNetwork };
+  }
+
+  // network may already be known from another device
+  const isNewNetwork =
+    !!network && !(await knownDevicesModel.exists({ user, networks: network }));
+  const knownDeviceObj = {};
+  knownDeviceObj.user = user;
+  knownDeviceObj.fingerprint = fingerprint;
+  if (device) knownDeviceObj.device = device;
+  if (userAgent) knownDeviceObj.userAgent = userAgent;
+  if (network) knownDeviceObj.networks = [network];
+  await knownDevicesModel.create(knownDeviceObj);
+  return { isNewDevice: true, isNewNetwork };
+};
+
+/**
+ * @description Forget all known devices of user
+ * @param {String} user user id
+ * @returns {null} null
+ */
+export const deleteKnownDevices = async (params) => {
+  const { user } = params;
+  await knownDevicesModel.deleteMany({ user });
+};
+
+/**
+ * @description Get device fingerprint
+ * @param {String} device device name
+ * @param {String} userAgent client user agent
+ * @returns {String} device fingerprint
+ */
+const getFingerprint = (params) => {
+  const { device, userAgent } = params;
+  return crypto
+    .createHash("sha256")
+    .update(`${device ?? ""}|${userAgent ?? ""}`)
+    .digest("hex");
+};
+
+/**
+ * @description Get coarse network of ip address, /24 for IPv4 and /48 for IPv6
+ * @param {String} ip client ip address
+ * @returns {String} network, null for invalid ip address
+ */
+const getNetwork = (ip) => {
+  const address = ip?.replace(/^::ffff:/, "");
+  if (isIPv4(address))
+    return address.split(".").slice(0, 3).join(".") + ".0/24";
+  if (isIPv6(address)) {
+    const [head, tail] = address.split("::");
+    const headParts = head ? head.split(":") : [];
+    const tailParts = tail ? tail.split(":") : [];
+    const zeroParts = Array(8 - headParts.length - tailParts.length).fill("0");
+    const parts = [...headParts, ...zeroParts, ...tailParts];
+    return parts.slice(0, 3).join(":") + "::/48";
+  }
+  return null;
+};
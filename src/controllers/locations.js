@@ -0,0 +1,251 @@
+// module imports
+import { isValidObjectId, Types } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+import SocketManager from "../utils/socket-manager.js";
+import * as geofencesController from "./geofences.js";
+import { GEO_JSON_TYPES, USER_STATUSES } from "../configs/enums.js";
+
+// destructuring assignments
+const {
+  LOCATION_UPDATE_INTERVAL_SECONDS,
+  LOCATION_HISTORY_RETENTION_DAYS,
+  LOCATION_SHARE_MAX_MINUTES,
+} = process.env;
+const { locationsModel, locationSharesModel, usersModel } = models;
+const { POINT } = GEO_JSON_TYPES;
+const { ACTIVE } = USER_STATUSES;
+const { ObjectId } = Types;
+
+/**
+ * @description Add location update of user, storing it in location history and
+ * relaying it to users it is shared with
+ * @param {String} user user id
+ * @param {[Number]} coordinates location longitude and latitude
+ * @param {Number} accuracy location accuracy radius in meters
+ * @param {Number} altitude location altitude in meters
+ * @param {Number} heading location heading in degrees
+ * @param {Number} speed location speed in meters per second
+ * @param {Date} recordedAt location fix time on client device
+ * @returns {Object} location data
+ */
+export const addLocation = async (params) => {
+  const { user, coordinates, accuracy, altitude, heading, speed } = params;
+  let { recordedAt } = params;
+
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+  if (isValidObjectId(user));
+  else throw new Error("Please enter valid user id!|||400");
+  if (
+    Array.isArray(coordinates) &&
+    coordinates.length === 2 &&
+    Math.abs(coordinates[0]) <= 180 &&
+    Math.abs(coordinates[1]) <= 90
+  );
+  else
+    throw new Error(
+      "Please enter valid location longitude and latitude!|||400"
+    );
+
+  const now = new Date();
+  const interval = Number(LOCATION_UPDATE_INTERVAL_SECONDS || 5) * 1000;
+  if (
+    await locationsModel.exists({
+      user,
+      createdAt: { $gt: new Date(now.getTime() - interval) },
+    })
+  )
+    throw new Error("Location updates are too frequent!|||429");
+
+  recordedAt = recordedAt ? new Date(recordedAt) : now;
+  // clock skewed or malformed fix times fall back to receipt time
+  if (isNaN(recordedAt) || recordedAt > now) recordedAt = now;
+
+  const retention =
+    Number(LOCATION_HISTORY_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000;
+  const locationObj = {};
+  locationObj.user = user;
+  locationObj.location = { type: POINT, coordinates };
+  if (typeof accuracy === "number") locationObj.accuracy = accuracy;
+  if (typeof altitude === "number") locationObj.altitude = altitude;
+  if (typeof heading === "number") locationObj.heading = heading;
+  if (typeof speed === "number") locationObj.speed = speed;
+  locationObj.recordedAt = recordedAt;
+  locationObj.expireAt = new Date(now.getTime() + retention);
+  const location = await locationsModel.create(locationObj);
+
+  await usersModel.updateOne(
+    { _id: user },
+    { "location.coordinates": coordinates }
+  );
+  try {
+    await geofencesController.checkGeofences({ user, coordinates });
+  } catch (error) {
+    console.log(error);
+  }
+
+  const locationShares = await locationSharesModel
+    .find({ user, expireAt: { $gt: now } })
+    .select("viewer");
+  const locationData = location.toObject();
+  delete locationData.expireAt;
+  delete locationData.__v;
+  // socket event emission
+  for (const locationShare of locationShares)
+    await new SocketManager().emitEvent({
+      to: locationShare.viewer,
+      event: "sharedLocation",
+      data: locationData,
+    });
+
+  return locationData;
+};
+
+/**
+ * @description Share live location of user with viewer for a duration,
+ * extending existing share
+ * @param {String} user user id
+ * @param {String} viewer viewer user id
+ * @param {Number} minutes share duration in minutes
+ * @returns {Object} location share data
+ */
+export const shareLocation = async (params) => {
+  const { user, viewer, minutes } = params;
+  if (viewer);
+  else throw new Error("Please enter viewer id!|||400");
+  if (isValidObjectId(viewer));
+  else throw new Error("Please enter valid viewer id!|||400");
+  if (new ObjectId(viewer).equals(user))
+    throw new Error("Location cannot be shared with yourself!|||400");
+  const maxMinutes = Number(LOCATION_SHARE_MAX_MINUTES || 1440);
+  if (Number.isInteger(minutes) && minutes > 0 && minutes <= maxMinutes);
+  else
+    throw new Error(
+      `Please enter share duration between 1 and ${maxMinutes} minutes!|||400`
+    );
+  if (await usersModel.exists({ _id: viewer, status: ACTIVE }));
+  else throw new Error("Viewer not found!|||404");
+
+  return await locationSharesModel
+    .findOneAndUpdate(
+      { user, viewer },
+      { expireAt: new Date(Date.now() + minutes * 60 * 1000) },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    )
+    .select("-__v");
+};
+
+/**
+ * @description Stop sharing live location of user with viewer
+ * @param {String} user user id
+ * @param {String} viewer viewer user id
+ * @returns {Object} location share data
+ */
+export const stopLocationShare = async (params) => {
+  const { user, viewer } = params;
+  if (viewer);
+  else throw new Error("Please enter viewer id!|||400");
+  if (isValidObjectId(viewer));
+  else throw new Error("Please enter valid viewer id!|||400");
+  const locationShareExists = await locationSharesModel.findOneAndDelete({
+    user,
+    viewer,
+  });
+  if (locationShareExists);
+  else throw new Error("Location share not found!|||404");
+  return locationShareExists;
+};
+
+/**
+ * @description Get active location shares granted by and to user
+ * @param {String} user user id
+ * @returns {Object} location share data
+ */
+export const getLocationShares = async (params) => {
+  const { user } = params;
+  const query = { expireAt: { $gt: new Date() } };
+  const [granted, received] = await Promise.all([
+    locationSharesModel
+      .find({ ...query, user })
+      .populate("viewer", "name firstName lastName image")
+      .select("-__v"),
+    locationSharesModel
+      .find({ ...query, viewer: user })
+      .populate("user", "name firstName lastName image")
+      .select("-__v"),
+  ]);
+  return { granted, received };
+};
+
+/**
+ * @description Get location history of user for replay, limiting viewers to
+ * locations recorded while the share has been active
+ * @param {String} user user id
+ * @param {String} viewer viewer user id
+ * @param {Date} from history start time
+ * @param {Date} to history end time
+ * @param {Number} limit locations limit
+ * @param {Number} page locations page number
+ * @returns {Object} location data
+ */
+export const getLocations = async (params) => {
+  const { user, viewer } = params;
+  let { from, to, limit, page } = params;
+  if (!limit) limit = 100;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+  if (isValidObjectId(user));
+  else throw new Error("Please enter valid user id!|||400");
+
+  from = from ? new Date(from) : null;
+  to = to ? new Date(to) : null;
+  if (isNaN(from) || isNaN(to))
+    throw new Error("Please enter valid history time range!|||400");
+  if (!new ObjectId(user).equals(viewer)) {
+    const locationShareExists = await locationSharesModel.findOne({
+      user,
+      viewer,
+      expireAt: { $gt: new Date() },
+    });
+    if (locationShareExists);
+    else throw new Error("Location not shared with you!|||403");
+    if (!from || from < locationShareExists.createdAt)
+      from = locationShareExists.createdAt;
+  }
+
+  const query = { user: new ObjectId(user) };
+  if (from || to) {
+    query.recordedAt = {};
+    if (from) query.recordedAt.$gte = from;
+    if (to) query.recordedAt.$lte = to;
+  }
+  const [result] = await locationsModel.aggregate([
+    { $match: query },
+    { $sort: { recordedAt: 1 } },
+    { $project: { __v: 0, expireAt: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
@@ -0,0 +1,139 @@
+// file imports
+import models from "../models/index.js";
+import { LOGIN_ATTEMPT_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const {
+  LOGIN_DELAY_THRESHOLD,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  IP_DELAY_THRESHOLD,
+  OTP_MAX_ATTEMPTS,
+} = process.env;
+const { loginAttemptsModel } = models;
+const { LOGIN, OTP } = LOGIN_ATTEMPT_TYPES;
+
+// variable initializations
+const MAX_DELAY_SECONDS = 15 * 60;
+const ATTEMPTS_WINDOW_HOURS = 24;
+
+/**
+ * @description Check whether further attempts are allowed
+ * @param {String} user user id
+ * @param {String} phone user phone number
+ * @param {String} ip client ip address
+ * @param {String} type attempt type
+ * @returns {null} null
+ */
+export const checkLoginAttempts = async (params) => {
+  const { type } = params;
+  const now = new Date();
+  const attemptsExist = await loginAttemptsModel.find({
+    key: { $in: getKeys(params) },
+    type,
+  });
+  attemptsExist.forEach((attempt) => {
+    if (attempt.lockedUntil > now)
+      throwRetryError(
+        type === LOGIN
+          ? "Account temporarily locked, please try again later or unlock it from your email!|||423"
+          : "Too many invalid codes, please try again later!|||429",
+        attempt.lockedUntil
+      );
+    if (attempt.nextAttemptAt > now)
+      throwRetryError(
+        "Too many failed attempts, please try again later!|||429",
+        attempt.nextAttemptAt
+      );
+  });
+};
+
+/**
+ * @description Record failed attempt with progressive delay and lockout
+ * @param {String} user user id
+ * @param {String} phone user phone number
+ * @param {String} ip client ip address
+ * @param {String} type attempt type
+ * @returns {Boolean} account lockout started check
+ */
+export const addFailedLoginAttempt = async (params) => {
+  const { ip, type } = params;
+  const now = Date.now();
+  const expireAt = new Date(now + ATTEMPTS_WINDOW_HOURS * 60 * 60 * 1000);
+  const lockoutTime = Number(LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000;
+  let isLocked = false;
+
+  for (const key of getKeys(params)) {
+    const attempt = await loginAttemptsModel.findOneAndUpdate(
+      { key, type },
+      { $inc: { count: 1 }, expireAt },
+      { new: true, upsert: true }
+    );
+
+    const isIP = ip && key === "ip:" + ip;
+    const delayThreshold = Number(
+      (isIP ? IP_DELAY_THRESHOLD : LOGIN_DELAY_THRESHOLD) || (isIP ? 20 : 3)
+    );
+    const lockoutThreshold = Number(
+      (type === OTP ? OTP_MAX_ATTEMPTS : LOGIN_LOCKOUT_THRESHOLD) ||
+        (type === OTP ? 5 : 10)
+    );
+
+    if (!isIP && attempt.count >= lockoutThreshold) {
+      if (attempt.count === lockoutThreshold) isLocked = type === LOGIN;
+      attempt.lockedUntil = new Date(now + lockoutTime);
+    } else if (attempt.count >= delayThreshold) {
+      // doubles the wait on every failure past the threshold
+      const delay = Math.min(
+        2 ** (attempt.count - delayThreshold),
+        MAX_DELAY_SECONDS
+      );
+      attempt.nextAttemptAt = new Date(now + delay * 1000);
+    }
+    await attempt.save();
+  }
+  return isLocked;
+};
+
+/**
+ * @description Reset failed attempts of user or phone number
+ * @param {String} user user id
+ * @param {String} phone user phone number
+ * @param {String} type attempt type, all types if omitted
+ * @returns {null} null
+ */
+export const resetLoginAttempts = async (params) => {
+  const { user, phone, type } = params;
+  // ip attempts are kept so a known account cannot clear them
+  const query = { key: { $in: getKeys({ user, phone }) } };
+  if (type) query.type = type;
+  await loginAttemptsModel.deleteMany(query);
+};
+
+/**
+ * @description Get attempt keys
+ * @param {String} user user id
+ * @param {String} phone user phone number
+ * @param {String} ip client ip address
+ * @returns {[String]} array of attempt keys
+ */
+const getKeys = (params) => {
+  const { user, phone, ip } = params;
+  const keys = [];
+  if (user) keys.push("user:" + user);
+  if (phone) keys.push("phone:" + phone);
+  if (ip) keys.push("ip:" + ip);
+  return keys;
+};
+
+/**
+ * @description Throw error carrying retry time for Retry-After header
+ * @param {String} message error message
+ * @param {Date} time time after which retry is allowed
+ * @returns {null} null
+ */
+const throwRetryError = (message, time) => {
+  const error = new Error(message);
+  error.retryAfter = Math.ceil((time - Date.now()) / 1000);
+  throw error;
+};
@@ -14,16 +14,20 @@ const { READ } = NOTIFICATION_STATUSES;
  * @param {String} type type
  * @param {String} message message id
  * @param {String} messenger messenger id
+ * @param {String} geofence geofence id
+ * @param {String} text notification text
  * @returns {Object} notification data
  */
 export const addNotification = async (params) => {
-  const { user, type, message, messenger } = params;
+  const { user, type, message, messenger, geofence, text } = params;
   const notificationObj = {};
 
   if (user) notificationObj.user = user;
   if (type) notificationObj.type = type;
   if (message) notificationObj.message = message;
   if (messenger) notificationObj.messenger = messenger;
+  if (geofence) notificationObj.geofence = geofence;
+  if (text) notificationObj.text = text;
 
   return await notificationsModel.create(notificationObj);
 };
@@ -0,0 +1,193 @@
+// module imports
+import bcrypt from "bcryptjs";
+import otpGenerator from "otp-generator";
+
+// file imports
+import models from "../models/index.js";
+import * as usersController from "./users.js";
+import * as auditEventsController from "./audit-events.js";
+import TwilioManager from "../utils/twilio-manager.js";
+import NodeMailer from "../utils/node-mailer.js";
+import { getToken } from "../middlewares/authenticator.js";
+import {
+  ENVIRONMENTS,
+  OTP_PURPOSES,
+  OTP_CHANNELS,
+  AUDIT_EVENTS,
+  AUDIT_OUTCOMES,
+} from "../configs/enums.js";
+
+// destructuring assignments
+const {
+  NODE_ENV,
+  OTP_TEST_MODE,
+  OTP_EXPIRY_MINUTES,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_CODE_MAX_ATTEMPTS,
+} = process.env;
+const { otpsModel, usersModel } = models;
+const { PRODUCTION } = ENVIRONMENTS;
+const { LOGIN, PHONE_CHANGE, SENSITIVE_ACTION, MAGIC_LINK } = OTP_PURPOSES;
+const { SMS, EMAIL } = OTP_CHANNELS;
+const { SUCCESS, FAILURE } = AUDIT_OUTCOMES;
+const { sendEmail, getOTPSendingEmailTemplate } = new NodeMailer();
+
+// variable initializations
+const TEST_CODE = "111111";
+
+/**
+ * @description Send OTP code over SMS or email
+ * @param {String} user user id, required for all purposes except login
+ * @param {String} phone phone number in INTERNATIONAL format
+ * @param {String} email email address
+ * @param {String} purpose OTP purpose
+ * @param {String} channel OTP delivery channel
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @returns {String} OTP token to be sent along with code for verification
+ */
+export const sendOTP = async (params) => {
+  const { user, purpose, ip, userAgent } = params;
+  const { channel = SMS } = params;
+  let { phone, email } = params;
+
+  if (Object.values(OTP_PURPOSES).includes(purpose));
+  else throw new Error("Please enter valid OTP purpose!|||400");
+  if (Object.values(OTP_CHANNELS).includes(channel));
+  else throw new Error("Please enter valid OTP channel!|||400");
+
+  let userExists = null;
+  if (purpose === LOGIN)
+    userExists = await usersModel.findOne(
+      channel === EMAIL ? { email } : { phone }
+    );
+  else {
+    userExists = user ? await usersModel.findById(user) : null;
+    if (userExists);
+    else throw new Error("User not found!|||404");
+  }
+
+  if (purpose === PHONE_CHANGE) {
+    if (channel === SMS);
+    else throw new Error("Phone change code can only be sent by SMS!|||400");
+    const userPhoneExists = await usersModel
+      .findOne({ phone, _id: { $ne: userExists._id } })
+      .select("+isPasswordSet");
+    // phone sign-up accounts get merged once the phone is verified
+    if (userPhoneExists && !usersController.isPhoneOnlyUser(userPhoneExists))
+      throw new Error("Phone already used, try another one instead!|||400");
+  } else if (purpose === SENSITIVE_ACTION || purpose === MAGIC_LINK) {
+    phone = userExists.phone;
+    email = userExists.email;
+  }
+
+  if (channel === EMAIL) {
+    if (email && userExists);
+    else throw new Error("User with given email doesn't exist!|||404");
+    phone = undefined;
+  } else {
+    if (phone);
+    else throw new Error("Please enter phone number!|||400");
+    email = undefined;
+  }
+
+  const target = phone ?? email;
+  const otpExists = await otpsModel
+    .findOne({ target, purpose })
+    .sort({ createdAt: -1 });
+  const cooldown = Number(OTP_RESEND_COOLDOWN_SECONDS || 60) * 1000;
+  const elapsedTime = Date.now() - (otpExists?.createdAt ?? 0);
+  if (elapsedTime < cooldown)
+    throw new Error(
+      `Please wait ${Math.ceil(
+        (cooldown - elapsedTime) / 1000
+      )} seconds before requesting another code!|||429`
+    );
+
+  // fixed code is only ever allowed outside production in explicit test mode
+  const code =
+    OTP_TEST_MODE === "true" && NODE_ENV !== PRODUCTION
+      ? TEST_CODE
+      : otpGenerator.generate(6, {
+          digits: true,
+          lowerCaseAlphabets: false,
+          upperCaseAlphabets: false,
+          specialChars: false,
+        });
+  const expireAt = new Date();
+  expireAt.setMinutes(expireAt.getMinutes() + Number(OTP_EXPIRY_MINUTES || 10));
+
+  await otpsModel.deleteMany({ target, purpose });
+  await otpsModel.create({
+    user: userExists?._id,
+    target,
+    purpose,
+    channel,
+    code: await bcrypt.hash(code, 10),
+    expireAt,
+  });
+
+  let isSent = true;
+  if (channel === EMAIL) {
+    const args = {};
+    args.to = email;
+    args.subject = "One Time Password";
+    args.text = getOTPSendingEmailTemplate({
+      name: userExists.name ?? "User",
+      otp: code,
+    });
+    await sendEmail(args);
+  } else isSent = !!(await new TwilioManager().sendOTP({ phone, otp: code }));
+
+  await auditEventsController.addAuditEvent({
+    event: AUDIT_EVENTS.OTP_SEND,
+    outcome: isSent ? SUCCESS : FAILURE,
+    actor: userExists?._id,
+    target: userExists?._id,
+    ip,
+    userAgent,
+    metadata: { purpose, channel, recipient: target },
+  });
+
+  const tokenObj = {
+    _id: userExists?._id,
+    phone,
+    email,
+    purpose,
+    shouldValidateOTP: true,
+  };
+  return getToken(tokenObj);
+};
+
+/**
+ * @description Verify OTP code, consuming it on success
+ * @param {String} phone phone number the code was sent to
+ * @param {String} email email address the code was sent to
+ * @param {String} purpose OTP purpose
+ * @param {String} code OTP code
+ * @returns {Object} OTP data
+ */
+export const verifyOTP = async (params) => {
+  const { phone, email, purpose, code } = params;
+  const target = phone ?? email;
+
+  const otpExists = await otpsModel
+    .findOne({ target, purpose, expireAt: { $gt: new Date() } })
+    .select("+code");
+  if (otpExists);
+  else throw new Error("Code expired, please request a new one!|||400");
+
+  if (otpExists.attempts >= Number(OTP_CODE_MAX_ATTEMPTS || 3)) {
+    await otpExists.deleteOne();
+    throw new Error("Too many invalid codes, please request a new one!|||429");
+  }
+
+  if (await bcrypt.compare(String(code ?? ""), otpExists.code)) {
+    await otpExists.deleteOne();
+    return otpExists;
+  }
+
+  otpExists.attempts += 1;
+  await otpExists.save();
+  throw new Error("Invalid Code!|||400");
+};
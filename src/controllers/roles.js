@@ -0,0 +1,224 @@
+// module imports
+import { isValidObjectId } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+import { PERMISSIONS, USER_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { rolesModel, usersModel } = models;
+const { ADMIN, SUPER_ADMIN } = USER_TYPES;
+const { USERS_CREATE, USERS_READ, USERS_UPDATE, USERS_DELETE, DB_CLEAN } =
+  PERMISSIONS;
+
+// variable initializations
+// admins without roles keep the access they had before roles existed
+const DEFAULT_ADMIN_PERMISSIONS = [
+  USERS_CREATE,
+  USERS_READ,
+  USERS_UPDATE,
+  USERS_DELETE,
+  DB_CLEAN,
+];
+
+/**
+ * @description Add role
+ * @param {String} name role name
+ * @param {String} description role description
+ * @param {[String]} permissions role permissions
+ * @returns {Object} role data
+ */
+export const addRole = async (params) => {
+  const { name, description, permissions } = params;
+  const roleObj = {};
+
+  if (name) roleObj.name = name;
+  else throw new Error("Please enter role name!|||400");
+  if (await rolesModel.exists({ name: name.trim().toLowerCase() }))
+    throw new Error("Role already exists!|||409");
+  if (description) roleObj.description = description;
+  roleObj.permissions = validatePermissions(permissions ?? []);
+
+  return await rolesModel.create(roleObj);
+};
+
+/**
+ * @description Update role data
+ * @param {String} role role id
+ * @param {String} name role name
+ * @param {String} description role description
+ * @param {[String]} permissions role permissions
+ * @returns {Object} role data
+ */
+export const updateRole = async (params) => {
+  const { role, name, description, permissions } = params;
+  const roleObj = {};
+
+  if (role);
+  else throw new Error("Please enter role id!|||400");
+  if (isValidObjectId(role));
+  else throw new Error("Please enter valid role id!|||400");
+
+  if (name) {
+    if (
+      await rolesModel.exists({
+        name: name.trim().toLowerCase(),
+        _id: { $ne: role },
+      })
+    )
+      throw new Error("Role already exists!|||409");
+    roleObj.name = name;
+  }
+  if (description !== undefined) roleObj.description = description;
+  if (permissions) roleObj.permissions = validatePermissions(permissions);
+
+  const roleExists = await rolesModel.findByIdAndUpdate(role, roleObj, {
+    new: true,
+    runValidators: true,
+  });
+  if (roleExists);
+  else throw new Error("Role not found!|||404");
+  return roleExists;
+};
+
+/**
+ * @description Delete role, removing it from assigned users
+ * @param {String} role role id
+ * @returns {Object} role data
+ */
+export const deleteRole = async (params) => {
+  const { role } = params;
+  if (role);
+  else throw new Error("Please enter role id!|||400");
+  if (isValidObjectId(role));
+  else throw new Error("Please enter valid role id!|||400");
+  const roleExists = await rolesModel.findByIdAndDelete(role);
+  if (roleExists);
+  else throw new Error("Role not found!|||404");
+  await usersModel.updateMany({ roles: role }, { $pull: { roles: role } });
+  return roleExists;
+};
+
+/**
+ * @description Get role
+ * @param {String} role role id
+ * @returns {Object} role data
+ */
+export const getRole = async (params) => {
+  const { role } = params;
+  if (role);
+  else throw new Error("Please enter role id!|||400");
+  if (isValidObjectId(role));
+  else throw new Error("Please enter valid role id!|||400");
+  const roleExists = await rolesModel.findById(role).select("-__v");
+  if (roleExists);
+  else throw new Error("Role not found!|||404");
+  return roleExists;
+};
+
+/**
+ * @description Get roles
+ * @param {String} keyword search keyword
+ * @param {Number} limit roles limit
+ * @param {Number} page roles page number
+ * @returns {Object} role data
+ */
+export const getRoles = async (params) => {
+  let { page, limit, keyword } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+  const query = {};
+  if (keyword) {
+    keyword = keyword.trim();
+    if (keyword !== "") query.name = { $regex: keyword, $options: "i" };
+  }
+  const [result] = await rolesModel.aggregate([
+    { $match: query },
+    { $sort: { name: 1 } },
+    { $project: { __v: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
+
+/**
+ * @description Assign roles to user, replacing existing ones
+ * @param {String} user user id
+ * @param {[String]} roles role ids
+ * @returns {Object} user data
+ */
+export const assignRoles = async (params) => {
+  const { user, roles } = params;
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+  if (isValidObjectId(user));
+  else throw new Error("Please enter valid user id!|||400");
+  if (Array.isArray(roles) && roles.every((role) => isValidObjectId(role)));
+  else throw new Error("Please enter valid role ids!|||400");
+
+  const rolesCount = await rolesModel.countDocuments({ _id: { $in: roles } });
+  if (rolesCount === new Set(roles.map(String)).size);
+  else throw new Error("Role not found!|||404");
+
+  const userExists = await usersModel
+    .findByIdAndUpdate(user, { roles }, { new: true })
+    .populate("roles", "name permissions");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  return userExists;
+};
+
+/**
+ * @description Check whether user is granted permission
+ * @param {Object} user user data
+ * @param {String} profile profile user acts through, defaults to user type
+ * @param {String} permission permission name
+ * @returns {Boolean} permission check
+ */
+export const hasPermission = async (params) => {
+  const { user, profile, permission } = params;
+  if (user?.type === SUPER_ADMIN) return true;
+  if (user?.roles?.length);
+  else
+    return (
+      (profile ?? user?.type) === ADMIN &&
+      DEFAULT_ADMIN_PERMISSIONS.includes(permission)
+    );
+  return !!(await rolesModel.exists({
+    _id: { $in: user.roles },
+    permissions: permission,
+  }));
+};
+
+/**
+ * @description Validate permission names
+ * @param {[String]} permissions permission names
+ * @returns {[String]} unique permission names
+ */
+const validatePermissions = (permissions) => {
+  const values = Object.values(PERMISSIONS);
+  if (
+    Array.isArray(permissions) &&
+    permissions.every((permission) => values.includes(permission))
+  );
+  else throw new Error("Please enter valid permissions!|||400");
+  return [...new Set(permissions)];
+};
@@ -0,0 +1,180 @@
+// module imports
+import { isValidObjectId } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+import SocketManager from "../utils/socket-manager.js";
+import {
+  SESSION_STATUSES,
+  USER_TOKEN_TYPES,
+  USER_TOKEN_STATUSES,
+} from "../configs/enums.js";
+
+// destructuring assignments
+const { sessionsModel, userTokensModel } = models;
+const { ACTIVE, REVOKED } = SESSION_STATUSES;
+const { REFRESH } = USER_TOKEN_TYPES;
+
+/**
+ * @description Add session
+ * @param {String} user user id
+ * @param {String} device device name
+ * @param {String} ip client ip address
+ * @param {String} userAgent client user agent
+ * @param {String} profile active profile of multi-profile user
+ * @returns {Object} session data
+ */
+export const addSession = async (params) => {
+  const { user, device, ip, userAgent, profile } = params;
+  const sessionObj = {};
+
+  if (user) sessionObj.user = user;
+  else throw new Error("Please enter user id!|||400");
+  if (device) sessionObj.device = device;
+  if (ip) sessionObj.ip = ip;
+  if (userAgent) sessionObj.userAgent = userAgent;
+  if (profile) sessionObj.profile = profile;
+
+  return await sessionsModel.create(sessionObj);
+};
+
+/**
+ * @description Update session data
+ * @param {String} session session id
+ * @param {Date} lastUsedAt session last usage time
+ * @param {Date} expireAt session expiration time
+ * @param {String} profile active profile of multi-profile user
+ * @returns {Object} session data
+ */
+export const updateSession = async (params) => {
+  const { session, lastUsedAt, expireAt, profile } = params;
+  const sessionObj = {};
+  if (session);
+  else throw new Error("Please enter session id!|||400");
+  if (isValidObjectId(session));
+  else throw new Error("Please enter valid session id!|||400");
+  if (lastUsedAt) sessionObj.lastUsedAt = lastUsedAt;
+  if (expireAt) sessionObj.expireAt = expireAt;
+  if (profile) sessionObj.profile = profile;
+  const sessionExists = await sessionsModel.findByIdAndUpdate(
+    session,
+    sessionObj,
+    { new: true }
+  );
+  if (sessionExists);
+  else throw new Error("Session not found!|||404");
+  return sessionExists;
+};
+
+/**
+ * @description Get active session
+ * @param {String} session session id
+ * @param {String} user user id
+ * @returns {Object} session data
+ */
+export const getSession = async (params) => {
+  const { session, user } = params;
+  if (isValidObjectId(session));
+  else return null;
+  const query = { _id: session, status: ACTIVE };
+  if (user) query.user = user;
+  return await sessionsModel.findOne(query).select("-__v");
+};
+
+/**
+ * @description Get user sessions
+ * @param {String} user user id
+ * @param {String} session current session id
+ * @param {Number} limit sessions limit
+ * @param {Number} page sessions page number
+ * @returns {[Object]} array of sessions
+ */
+export const getSessions = async (params) => {
+  const { user, session } = params;
+  let { page, limit } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+  const query = { user, status: ACTIVE };
+  const [result] = await sessionsModel.aggregate([
+    { $match: query },
+    { $sort: { lastUsedAt: -1 } },
+    { $addFields: { isCurrent: { $eq: ["$_id", session] } } },
+    { $project: { updatedAt: 0, expireAt: 0, __v: 0 } },
+    {
+      $facet: {
+        totalCount: [{ $count: "totalCount" }],
+        data: [{ $skip: page * limit }, { $limit: limit }],
+      },
+    },
+    { $unwind: "$totalCount" },
+    {
+      $project: {
+        totalCount: "$totalCount.totalCount",
+        totalPages: {
+          $ceil: {
+            $divide: ["$totalCount.totalCount", limit],
+          },
+        },
+        data: 1,
+      },
+    },
+  ]);
+  return { data: [], totalCount: 0, totalPages: 0, ...result };
+};
+
+/**
+ * @description Revoke session along with its refresh tokens and sockets
+ * @param {String} session session id
+ * @param {String} user user id
+ * @returns {Object} session data
+ */
+export const revokeSession = async (params) => {
+  const { session, user } = params;
+  if (session);
+  else throw new Error("Please enter session id!|||400");
+  if (isValidObjectId(session));
+  else throw new Error("Please enter valid session id!|||400");
+  const query = { _id: session };
+  if (user) query.user = user;
+  const sessionExists = await sessionsModel.findOneAndUpdate(
+    query,
+    { status: REVOKED },
+    { new: true }
+  );
+  if (sessionExists);
+  else throw new Error("Session not found!|||404");
+  await userTokensModel.updateMany(
+    { family: sessionExists._id.toString(), type: REFRESH },
+    { status: USER_TOKEN_STATUSES.REVOKED }
+  );
+  await new SocketManager().disconnectSockets({
+    user: sessionExists.user,
+    session: sessionExists._id,
+  });
+  return sessionExists;
+};
+
+/**
+ * @description Revoke all user sessions along with their refresh tokens and
+ * sockets
+ * @param {String} user user id
+ * @param {String} exceptSession session id to keep active
+ * @returns {null} null
+ */
+export const revokeSessions = async (params) => {
+  const { user, exceptSession } = params;
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+  const query = { user, status: ACTIVE };
+  const userTokenQuery = { user, type: REFRESH };
+  if (exceptSession) {
+    query._id = { $ne: exceptSession };
+    userTokenQuery.family = { $ne: exceptSession.toString() };
+  }
+  await sessionsModel.updateMany(query, { status: REVOKED });
+  await userTokensModel.updateMany(userTokenQuery, {
+    status: USER_TOKEN_STATUSES.REVOKED,
+  });
+  await new SocketManager().disconnectSockets({ user, exceptSession });
+};
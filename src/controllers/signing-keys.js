@@ -0,0 +1,136 @@
+// module imports
+import crypto from "crypto";
+import { v4 } from "uuid";
+
+// file imports
+import models from "../models/index.js";
+import JWTManager from "../utils/jwt-manager.js";
+import { JWT_ALGORITHMS } from "../configs/enums.js";
+
+// destructuring assignments
+const {
+  JWT_KEY_PASSPHRASE,
+  JWT_ALGORITHM,
+  JWT_KEY_RETENTION_HOURS,
+  JWT_KEY_ROTATION_DAYS,
+} = process.env;
+const { signingKeysModel } = models;
+const { RS256, ES256 } = JWT_ALGORITHMS;
+
+// variable initializations
+// instances refresh their key ring every minute
+const KEYS_REFRESH_SECONDS = 60;
+
+/**
+ * @description Generate new signing key and schedule it to replace the
+ * current one, keeping previous keys for verification until they expire
+ * @param {String} algorithm signing algorithm, RS256 or ES256
+ * @returns {Object} signing key data
+ */
+export const rotateSigningKey = async (params) => {
+  const { algorithm = JWT_ALGORITHM || RS256 } = params ?? {};
+  if (Object.values(JWT_ALGORITHMS).includes(algorithm));
+  else throw new Error("Please enter valid algorithm!|||400");
+  if (JWT_KEY_PASSPHRASE);
+  else throw new Error("Please set JWT_KEY_PASSPHRASE in environment!|||500");
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(
+    algorithm === ES256 ? "ec" : "rsa",
+    {
+      ...(algorithm === ES256
+        ? { namedCurve: "P-256" }
+        : { modulusLength: 2048 }),
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: {
+        type: "pkcs8",
+        format: "pem",
+        cipher: "aes-256-cbc",
+        passphrase: JWT_KEY_PASSPHRASE,
+      },
+    }
+  );
+
+  // every instance refreshes its key ring before the new key signs anything,
+  // except for the first key which ends signing with JWT_SECRET right away
+  const isFirstKey = !(await signingKeysModel.exists({
+    $or: [{ expireAt: null }, { expireAt: { $gt: new Date() } }],
+  }));
+  const activatedAt = new Date(
+    Date.now() + (isFirstKey ? 0 : 2 * KEYS_REFRESH_SECONDS * 1000)
+  );
+  const retention = Number(JWT_KEY_RETENTION_HOURS || 24) * 60 * 60 * 1000;
+  await signingKeysModel.updateMany(
+    { expireAt: null },
+    { expireAt: new Date(activatedAt.getTime() + retention) }
+  );
+
+  const signingKeyObj = {};
+  signingKeyObj.kid = v4();
+  signingKeyObj.algorithm = algorithm;
+  signingKeyObj.publicKey = publicKey;
+  signingKeyObj.privateKey = privateKey;
+  signingKeyObj.activatedAt = activatedAt;
+  const signingKey = await signingKeysModel.create(signingKeyObj);
+  await loadSigningKeys();
+
+  const signingKeyData = signingKey.toObject();
+  delete signingKeyData.privateKey;
+  return signingKeyData;
+};
+
+/**
+ * @description Rotate signing key when none exists or the active one is older
+ * than the rotation period
+ * @returns {null} null
+ */
+export const rotateSigningKeyIfDue = async () => {
+  const latestKey = await signingKeysModel.findOne().sort({ activatedAt: -1 });
+  const rotationPeriod =
+    Number(JWT_KEY_ROTATION_DAYS || 30) * 24 * 60 * 60 * 1000;
+  if (latestKey && Date.now() - latestKey.activatedAt < rotationPeriod);
+  else await rotateSigningKey();
+};
+
+/**
+ * @description Load unexpired signing keys into key ring
+ * @returns {null} null
+ */
+export const loadSigningKeys = async () => {
+  const keys = await signingKeysModel
+    .find({ $or: [{ expireAt: null }, { expireAt: { $gt: new Date() } }] })
+    .select("+privateKey")
+    .lean();
+  new JWTManager().setKeys({ keys });
+};
+
+/**
+ * @description Get signing keys
+ * @returns {Object} signing key data
+ */
+export const getSigningKeys = async () => {
+  const data = await signingKeysModel
+    .find({ $or: [{ expireAt: null }, { expireAt: { $gt: new Date() } }] })
+    .sort({ activatedAt: -1 })
+    .select("-__v");
+  const activeKey = new JWTManager().getActiveKey();
+  return {
+    data: data.map((key) => ({
+      ...key.toObject(),
+      isActive: key.kid === activeKey?.kid,
+    })),
+  };
+};
+
+/**
+ * @description Get public keys of key ring as JSON Web Key Set
+ * @returns {Object} JSON Web Key Set
+ */
+export const getJWKS = async () => {
+  const keys = new JWTManager().getKeys().map((key) => ({
+    ...crypto.createPublicKey(key.publicKey).export({ format: "jwk" }),
+    kid: key.kid,
+    alg: key.algorithm,
+    use: "sig",
+  }));
+  return { keys };
+};
@@ -0,0 +1,153 @@
+// module imports
+import crypto from "crypto";
+import { isValidObjectId } from "mongoose";
+
+// file imports
+import models from "../models/index.js";
+import TOTPManager from "../utils/totp-manager.js";
+
+// destructuring assignments
+const { usersModel } = models;
+
+/**
+ * @description Start two-factor authentication enrollment
+ * @param {String} user user id
+ * @returns {Object} TOTP secret and provisioning URI
+ */
+export const setupTwoFactor = async (params) => {
+  const { user } = params;
+  const userExists = await getUserWithTwoFactor({ user });
+  if (userExists.isTwoFactorEnabled)
+    throw new Error("Two-factor authentication already enabled!|||400");
+
+  const totpManager = new TOTPManager();
+  const secret = totpManager.generateSecret();
+  userExists.twoFactorSecret = secret;
+  await userExists.save();
+
+  return {
+    secret,
+    uri: totpManager.getProvisioningURI({
+      secret,
+      label: userExists.email ?? userExists.phone,
+    }),
+  };
+};
+
+/**
+ * @description Confirm two-factor authentication enrollment
+ * @param {String} user user id
+ * @param {String} code TOTP code
+ * @returns {Object} one-time recovery codes
+ */
+export const confirmTwoFactor = async (params) => {
+  const { user, code } = params;
+  const userExists = await getUserWithTwoFactor({ user });
+  if (userExists.isTwoFactorEnabled)
+    throw new Error("Two-factor authentication already enabled!|||400");
+  if (userExists.twoFactorSecret);
+  else throw new Error("Please setup two-factor authentication first!|||400");
+
+  const totpManager = new TOTPManager();
+  const step = totpManager.verifyCode({
+    secret: userExists.twoFactorSecret,
+    code,
+  });
+  if (step === null) throw new Error("Invalid Code!|||400");
+
+  const recoveryCodes = totpManager.generateRecoveryCodes();
+  userExists.isTwoFactorEnabled = true;
+  userExists.twoFactorLastUsedStep = step;
+  userExists.twoFactorRecoveryCodes = recoveryCodes.map(hashCode);
+  await userExists.save();
+
+  return { recoveryCodes };
+};
+
+/**
+ * @description Disable two-factor authentication
+ * @param {String} user user id
+ * @param {String} code TOTP code or recovery code
+ * @returns {null} null
+ */
+export const disableTwoFactor = async (params) => {
+  const { user, code } = params;
+  await verifyTwoFactorCode({ user, code });
+  await usersModel.updateOne(
+    { _id: user },
+    {
+      isTwoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    }
+  );
+};
+
+/**
+ * @description Verify TOTP code or consume recovery code
+ * @param {String} user user id
+ * @param {String} code TOTP code or recovery code
+ * @returns {Object} user data
+ */
+export const verifyTwoFactorCode = async (params) => {
+  const { user } = params;
+  let { code } = params;
+  const userExists = await getUserWithTwoFactor({ user });
+  if (userExists.isTwoFactorEnabled);
+  else throw new Error("Two-factor authentication not enabled!|||400");
+  if (code);
+  else throw new Error("Please enter code!|||400");
+  // JSON clients may send numeric codes
+  code = String(code).trim();
+
+  const step = new TOTPManager().verifyCode({
+    secret: userExists.twoFactorSecret,
+    code,
+  });
+  if (step !== null) {
+    // a code is only accepted once within its time step
+    if (step <= (userExists.twoFactorLastUsedStep ?? -1))
+      throw new Error("Code already used!|||400");
+    userExists.twoFactorLastUsedStep = step;
+    await userExists.save();
+    return userExists;
+  }
+
+  const index = userExists.twoFactorRecoveryCodes.indexOf(
+    hashCode(code.toLowerCase())
+  );
+  if (index === -1) throw new Error("Invalid Code!|||400");
+  userExists.twoFactorRecoveryCodes.splice(index, 1);
+  await userExists.save();
+  return userExists;
+};
+
+/**
+ * @description Get user with two-factor fields
+ * @param {String} user user id
+ * @returns {Object} user data
+ */
+const getUserWithTwoFactor = async (params) => {
+  const { user } = params;
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+  if (isValidObjectId(user));
+  else throw new Error("Please enter valid user id!|||400");
+  const userExists = await usersModel
+    .findById(user)
+    .select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  return userExists;
+};
+
+/**
+ * @description Hash recovery code for storage
+ * @param {String} code recovery code
+ * @returns {String} recovery code hash
+ */
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
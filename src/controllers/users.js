@@ -1,14 +1,50 @@
 // module imports
-import { isValidObjectId } from "mongoose";
+import fs from "fs";
+import mongoose, { isValidObjectId, Types } from "mongoose";
 
 // file imports
 import models from "../models/index.js";
 import FilesDeleter from "../utils/files-deleter.js";
-import { USER_TYPES } from "../configs/enums.js";
+import ZipManager from "../utils/zip-manager.js";
+import PasswordValidator from "../utils/password-validator.js";
+import directories from "../configs/directories.js";
+import * as sessionsController from "./sessions.js";
+import * as customersController from "./customers.js";
+import * as adminsController from "./admins.js";
+import * as geofencesController from "./geofences.js";
+import {
+  USER_TYPES,
+  USER_STATUSES,
+  MESSAGE_STATUSES,
+  GEO_JSON_TYPES,
+} from "../configs/enums.js";
 
 // destructuring assignments
-const { ADMIN } = USER_TYPES;
-const { usersModel, customersModel, adminsModel } = models;
+const { ACCOUNT_DELETION_GRACE_DAYS } = process.env;
+const { CUSTOMER, ADMIN, SUPER_ADMIN, MULTI } = USER_TYPES;
+const { ACTIVE, DELETED } = USER_STATUSES;
+const { IMAGES_DIRECTORY, ATTACHMENTS_DIRECTORY } = directories;
+const { POINT } = GEO_JSON_TYPES;
+const { ObjectId } = Types;
+const { EJSON } = mongoose.mongo.BSON;
+const {
+  usersModel,
+  customersModel,
+  adminsModel,
+  messagesModel,
+  conversationsModel,
+  notificationsModel,
+  paymentAccountsModel,
+  userTokensModel,
+  otpsModel,
+  knownDevicesModel,
+  geofenceEventsModel,
+  locationsModel,
+  locationSharesModel,
+} = models;
+
+// variable initializations
+const USER_SORT_FIELDS = ["createdAt", "lastLogin", "name", "email"];
 
 /**
  * @description Add user
@@ -16,26 +52,53 @@ const { usersModel, customersModel, adminsModel } = models;
  * @param {String} password user password
  * @param {String} phone user phone number
  * @param {String} type user type
+ * @param {String} name user name
+ * @param {String} googleID user google id
+ * @param {String} facebookID user facebook id
+ * @param {String} twitterID user twitter id
+ * @param {Boolean} isPasswordSet user password set by user check
+ * @param {Boolean} isEmailVerified user email verification check
+ * @param {Boolean} isProfileCompleted user profile completion check
  * @returns {Object} user data
  */
 export const addUser = async (params) => {
-  const { email, password, phone, type } = params;
+  const {
+    email,
+    password,
+    phone,
+    type,
+    name,
+    googleID,
+    facebookID,
+    twitterID,
+    isPasswordSet,
+    isEmailVerified,
+    isProfileCompleted,
+  } = params;
   const userObj = {};
 
+  // generated passwords of phone and social sign ups skip the policy
+  if (isPasswordSet !== false)
+    new PasswordValidator().validatePassword(password);
   if (email) userObj.email = email;
-  if (password) userObj.password = password;
+  if (password) userObj.password = await usersModel.hashPassword(password);
   if (phone) userObj.phone = phone;
   if (type) userObj.type = type;
-  const user = await usersModel.create(userObj);
-  await user.setPassword(password);
-
-  return user;
+  if (name) userObj.name = name;
+  if (googleID) userObj.googleID = googleID;
+  if (facebookID) userObj.facebookID = facebookID;
+  if (twitterID) userObj.twitterID = twitterID;
+  if (typeof isPasswordSet === "boolean") userObj.isPasswordSet = isPasswordSet;
+  if (typeof isEmailVerified === "boolean")
+    userObj.isEmailVerified = isEmailVerified;
+  if (typeof isProfileCompleted === "boolean")
+    userObj.isProfileCompleted = isProfileCompleted;
+  return await usersModel.create(userObj);
 };
 
 /**
  * @description Update user
  * @param {String} user user id
- * @param {String} email user email address
  * @param {String} phone user phone number
  * @param {String} password user password
  * @param {String} type user type
@@ -46,6 +109,7 @@ export const addUser = async (params) => {
  * @param {String} lastName user last name
  * @param {[object]} images user images array
  * @param {[number]} coordinates user location coordinates
+ * @param {Boolean} isLocationShared user location sharing check
  * @param {String} customer customer id
  * @param {String} admin admin id
  * @returns {Object} user data
@@ -53,7 +117,6 @@ export const addUser = async (params) => {
 export const updateUser = async (params) => {
   const {
     user,
-    email,
     phone,
     password,
     type,
@@ -66,6 +129,7 @@ export const updateUser = async (params) => {
     fcm,
     isOnline,
     coordinates,
+    isLocationShared,
   } = params;
 
   if (user);
@@ -77,7 +141,6 @@ export const updateUser = async (params) => {
   if (userExists);
   else throw new Error("User not found!|||404");
 
-  if (email) userExists.email = email;
   if (password) await userExists.setPassword(password);
   if (phone) userExists.phone = phone;
   if (type) userExists.type = type;
@@ -114,6 +177,8 @@ export const updateUser = async (params) => {
         "Please enter location longitude and latitude both!|||400"
       );
   }
+  if (typeof isLocationShared === "boolean")
+    userExists.isLocationShared = isLocationShared;
 
   if (customer)
     if (await customersModel.exists({ _id: customer })) {
@@ -131,11 +196,249 @@ export const updateUser = async (params) => {
       new: true,
     })
     .select("-createdAt -updatedAt -__v");
+
+  if (coordinates)
+    try {
+      await geofencesController.checkGeofences({ user, coordinates });
+    } catch (error) {
+      console.log(error);
+    }
   return userExists;
 };
 
 /**
- * @description Delete user
+ * @description Add customer or admin profile to user, turning single profile
+ * users into multi-profile ones
+ * @param {String} user user id
+ * @param {String} profile profile type
+ * @returns {Object} user data
+ */
+export const addProfile = async (params) => {
+  const { user, profile } = params;
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+  if (isValidObjectId(user));
+  else throw new Error("Please enter valid user id!|||400");
+  if (profile === CUSTOMER || profile === ADMIN);
+  else throw new Error("Please enter valid profile!|||400");
+
+  const userExists = await usersModel
+    .findById(user)
+    .select("+customer +admin +isCustomer +isAdmin");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  if (userExists.type === SUPER_ADMIN)
+    throw new Error("Super admin cannot hold profiles!|||400");
+  if (getUserProfiles(userExists).includes(profile))
+    throw new Error("Profile already exists!|||409");
+
+  if (profile === CUSTOMER) {
+    const customer = await customersController.addCustomer({ user });
+    userExists.customer = customer._id;
+    userExists.isCustomer = true;
+  } else {
+    const admin = await adminsController.addAdmin({ user });
+    userExists.admin = admin._id;
+    userExists.isAdmin = true;
+  }
+  userExists.type = MULTI;
+  await userExists.save();
+  return userExists;
+};
+
+/**
+ * @description Complete profile of user signed up by phone
+ * @param {String} user user id
+ * @param {String} firstName user first name
+ * @param {String} lastName user last name
+ * @param {String} email OPTIONAL user email address
+ * @returns {Object} user data
+ */
+export const completeProfile = async (params) => {
+  const { user, firstName, lastName, email } = params;
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+
+  const userExists = await usersModel.findById(user);
+  if (userExists);
+  else throw new Error("User not found!|||404");
+
+  if (email) {
+    if (userExists.email) throw new Error("Email already added!|||400");
+    userExists.email = email;
+    userExists.isEmailVerified = false;
+  }
+  if (firstName) userExists.firstName = firstName;
+  if (lastName) userExists.lastName = lastName;
+  if (firstName || lastName)
+    userExists.name =
+      (userExists.firstName ?? "") + " " + (userExists.lastName ?? "");
+  userExists.isProfileCompleted = true;
+  await userExists.save();
+  return userExists;
+};
+
+/**
+ * @description Update user phone, merging phone sign-up account holding it
+ * @param {String} user user id
+ * @param {String} phone user phone number
+ * @returns {Object} user data
+ */
+export const updateUserPhone = async (params) => {
+  const { user, phone } = params;
+  if (phone);
+  else throw new Error("Please enter phone number!|||400");
+
+  const userPhoneExists = await usersModel
+    .findOne({ phone, _id: { $ne: user } })
+    .select("+isPasswordSet");
+  if (userPhoneExists)
+    if (isPhoneOnlyUser(userPhoneExists))
+      await mergeUsers({ user, source: userPhoneExists._id });
+    else throw new Error("Phone already used, try another one instead!|||400");
+
+  return await updateUser({ user, phone });
+};
+
+/**
+ * @description Require user to choose a new password on next login
+ * @param {String} user user id
+ * @param {Boolean} isPasswordChangeRequired password change requirement check
+ * @returns {Object} user data
+ */
+export const requirePasswordChange = async (params) => {
+  const { user, isPasswordChangeRequired } = params;
+  if (user);
+  else throw new Error("Please enter user id!|||400");
+  if (isValidObjectId(user));
+  else throw new Error("Please enter valid user id!|||400");
+  const userExists = await usersModel
+    .findByIdAndUpdate(
+      user,
+      { isPasswordChangeRequired: isPasswordChangeRequired !== false },
+      { new: true }
+    )
+    .select("+isPasswordChangeRequired");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  return userExists;
+};
+
+/**
+ * @description Merge source user data into user and delete source user
+ * @param {String} user user id to merge into
+ * @param {String} source user id to merge from
+ * @returns {null} null
+ */
+export const mergeUsers = async (params) => {
+  const { user, source } = params;
+  const sourceExists = await usersModel
+    .findById(source)
+    .select("+customer +admin +isCustomer +isAdmin");
+  if (sourceExists);
+  else throw new Error("User not found!|||404");
+  const userExists = await usersModel
+    .findById(user)
+    .select("+customer +admin +isCustomer +isAdmin");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+
+  // conversations between both users would turn into self-conversations
+  const sharedConversations = await conversationsModel.find({
+    $or: [
+      { userFrom: user, userTo: source },
+      { userFrom: source, userTo: user },
+    ],
+  });
+  const sharedConversationIds = sharedConversations.map(
+    (element) => element._id
+  );
+  const filesDeleter = new FilesDeleter();
+  const sharedMessages = await messagesModel.find({
+    conversation: { $in: sharedConversationIds },
+    "attachments.0": { $exists: true },
+  });
+  sharedMessages.forEach((message) =>
+    message.attachments.forEach((attachment) =>
+      filesDeleter.deleteAttachment({ attachment: attachment.path })
+    )
+  );
+  await messagesModel.deleteMany({
+    conversation: { $in: sharedConversationIds },
+  });
+  await conversationsModel.deleteMany({ _id: { $in: sharedConversationIds } });
+
+  // conversations both users have with the same partner are merged into one
+  const sourceConversations = await conversationsModel.find({
+    $or: [{ userFrom: source }, { userTo: source }],
+  });
+  for (const conversation of sourceConversations) {
+    const partner = conversation.userFrom.equals(source)
+      ? conversation.userTo
+      : conversation.userFrom;
+    const conversationExists = await conversationsModel.findOne({
+      $or: [
+        { userFrom: user, userTo: partner },
+        { userFrom: partner, userTo: user },
+      ],
+    });
+    if (conversationExists);
+    else continue;
+    await messagesModel.updateMany(
+      { conversation: conversation._id },
+      { conversation: conversationExists._id }
+    );
+    if (conversation.updatedAt > conversationExists.updatedAt) {
+      conversationExists.lastMessage = conversation.lastMessage;
+      await conversationExists.save();
+    }
+    await conversationsModel.deleteOne({ _id: conversation._id });
+  }
+
+  await messagesModel.updateMany({ userFrom: source }, { userFrom: user });
+  await messagesModel.updateMany({ userTo: source }, { userTo: user });
+  await conversationsModel.updateMany({ userFrom: source }, { userFrom: user });
+  await conversationsModel.updateMany({ userTo: source }, { userTo: user });
+  await notificationsModel.updateMany({ user: source }, { user });
+  await notificationsModel.updateMany(
+    { messenger: source },
+    { messenger: user }
+  );
+  await paymentAccountsModel.updateMany({ user: source }, { user });
+
+  if (userExists.customer) await customersModel.deleteOne({ user: source });
+  else if (sourceExists.customer) {
+    await customersModel.updateOne({ user: source }, { user });
+    userExists.customer = sourceExists.customer;
+    userExists.isCustomer = true;
+  }
+  if (userExists.admin) await adminsModel.deleteOne({ user: source });
+  else if (sourceExists.admin) {
+    await adminsModel.updateOne({ user: source }, { user });
+    userExists.admin = sourceExists.admin;
+    userExists.isAdmin = true;
+    sourceExists.roles.forEach((role) => {
+      if (userExists.roles.some((element) => element.equals(role)));
+      else userExists.roles.push(role);
+    });
+  }
+  // merged profiles follow the same rules as profiles added to the user
+  const profiles = getUserProfiles(userExists);
+  if (userExists.type === SUPER_ADMIN);
+  else if (profiles.length > 1) userExists.type = MULTI;
+  else if (profiles.length === 1) userExists.type = profiles[0];
+  sourceExists.fcms.forEach((fcm) => {
+    if (userExists.fcms.some((element) => element.device === fcm.device));
+    else userExists.fcms.push(fcm);
+  });
+  await userExists.save();
+
+  await sessionsController.revokeSessions({ user: source });
+  await usersModel.deleteOne({ _id: source });
+};
+
+/**
+ * @description Delete user immediately, purging related data
  * @param {String} user user id
  * @returns {Object} user data
  */
@@ -145,25 +448,234 @@ export const deleteUser = async (params) => {
   else throw new Error("Please enter user id!|||400");
   if (isValidObjectId(user));
   else throw new Error("Please enter valid user id!|||400");
-  const userExists = await usersModel.findByIdAndDelete(user);
+  const userExists = await usersModel.findById(user);
   if (userExists);
   else throw new Error("user not found!|||404");
+  await purgeUser({ user });
+  return userExists;
+};
+
+/**
+ * @description Soft delete user account, purged once grace period is over
+ * @param {String} user user id
+ * @param {String} password user password, required if set by user
+ * @param {Boolean} isOTPVerified deletion confirmed by sensitive action OTP
+ * @returns {Object} user data
+ */
+export const deleteAccount = async (params) => {
+  const { user, password, isOTPVerified } = params;
+  const userExists = await usersModel.findById(user).select("+isPasswordSet");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+  // accounts without a password of their own confirm by OTP instead
+  if (isOTPVerified);
+  else if (userExists.isPasswordSet) {
+    if (await userExists.validatePassword(password ?? ""));
+    else throw new Error("Invalid password!|||401");
+  } else throw new Error("Please confirm account deletion by OTP!|||403");
+
+  const graceDays = Number(ACCOUNT_DELETION_GRACE_DAYS || 30);
+  userExists.status = DELETED;
+  userExists.deletedAt = new Date();
+  userExists.purgeAt = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  userExists.isOnline = false;
+  await userExists.save();
+  await sessionsController.revokeSessions({ user: userExists._id });
   return userExists;
 };
 
+/**
+ * @description Restore soft deleted user account within grace period
+ * @param {String} user user id
+ * @returns {Object} user data
+ */
+export const restoreUser = async (params) => {
+  const { user } = params;
+  const userExists = await usersModel.findById(user);
+  if (userExists && isUserRestorable(userExists));
+  else throw new Error("Account can no longer be restored!|||403");
+  userExists.status = ACTIVE;
+  userExists.deletedAt = undefined;
+  userExists.purgeAt = undefined;
+  await userExists.save();
+  return userExists;
+};
+
+/**
+ * @description Purge user data, keeping an anonymous account so that
+ * conversations of other users stay intact
+ * @param {String} user user id
+ * @returns {null} null
+ */
+export const purgeUser = async (params) => {
+  const { user } = params;
+  const userExists = await usersModel.findById(user);
+  if (userExists);
+  else throw new Error("User not found!|||404");
+
+  const filesDeleter = new FilesDeleter();
+  const messages = await messagesModel.find({
+    userFrom: user,
+    "attachments.0": { $exists: true },
+  });
+  messages.forEach((message) =>
+    message.attachments.forEach((attachment) =>
+      filesDeleter.deleteAttachment({ attachment: attachment.path })
+    )
+  );
+  if (userExists.image) filesDeleter.deleteImage({ image: userExists.image });
+
+  await messagesModel.updateMany(
+    { userFrom: user },
+    { text: "", attachments: [], status: MESSAGE_STATUSES.DELETED }
+  );
+  await notificationsModel.deleteMany({
+    $or: [{ user }, { messenger: user }],
+  });
+  await paymentAccountsModel.deleteMany({ user });
+  await customersModel.deleteOne({ user });
+  await adminsModel.deleteOne({ user });
+  await sessionsController.revokeSessions({ user });
+  await userTokensModel.deleteMany({ user });
+  await otpsModel.deleteMany({ user });
+  await knownDevicesModel.deleteMany({ user });
+  await geofenceEventsModel.deleteMany({ user });
+  await locationsModel.deleteMany({ user });
+  await locationSharesModel.deleteMany({ $or: [{ user }, { viewer: user }] });
+
+  await usersModel.updateOne(
+    { _id: user },
+    {
+      $set: {
+        status: DELETED,
+        fcms: [],
+        roles: [],
+        isOnline: false,
+        isCustomer: false,
+        isAdmin: false,
+        isTwoFactorEnabled: false,
+        purgedAt: new Date(),
+      },
+      $unset: {
+        email: 1,
+        phone: 1,
+        firstName: 1,
+        lastName: 1,
+        name: 1,
+        image: 1,
+        location: 1,
+        customer: 1,
+        admin: 1,
+        googleID: 1,
+        facebookID: 1,
+        twitterID: 1,
+        twoFactorSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        password: 1,
+        passwordHistory: 1,
+        lastLogin: 1,
+        purgeAt: 1,
+      },
+    }
+  );
+};
+
+/**
+ * @description Purge accounts whose deletion grace period is over
+ * @returns {null} null
+ */
+export const purgeDeletedUsers = async () => {
+  const usersExist = await usersModel
+    .find({
+      status: DELETED,
+      purgeAt: { $lte: new Date() },
+      purgedAt: null,
+    })
+    .select("_id");
+  for (const userExists of usersExist)
+    try {
+      await purgeUser({ user: userExists._id });
+    } catch (error) {
+      console.log("User purge error", error);
+    }
+};
+
+/**
+ * @description Export user data as JSON or ZIP archive along with uploads
+ * @param {String} user user id
+ * @param {String} format export format, json or zip
+ * @returns {Object} user data or ZIP archive stream
+ */
+export const exportUserData = async (params) => {
+  const { user, format } = params;
+  const userExists = await usersModel
+    .findById(user)
+    .select("+customer +admin +lastLogin -__v")
+    .populate("customer admin roles");
+  if (userExists);
+  else throw new Error("User not found!|||404");
+
+  const data = {};
+  data.user = userExists.toObject();
+  data.conversations = await conversationsModel
+    .find({ $or: [{ userFrom: user }, { userTo: user }] })
+    .select("-__v")
+    .lean();
+  data.messages = await messagesModel
+    .find({ $or: [{ userFrom: user }, { userTo: user }] })
+    .select("-__v")
+    .lean();
+  data.notifications = await notificationsModel
+    .find({ user })
+    .select("-__v")
+    .lean();
+  // payment provider payloads may hold provider secrets
+  data.paymentAccounts = await paymentAccountsModel
+    .find({ user })
+    .select("type createdAt updatedAt")
+    .lean();
+  data.exportedAt = new Date();
+
+  if (format === "zip");
+  else return data;
+
+  const files = [{ name: "data.json", data: JSON.stringify(data, null, 2) }];
+  const addFile = (name, path) => {
+    if (fs.existsSync(path)) files.push({ name, path });
+  };
+  if (userExists.image)
+    addFile("images/" + userExists.image, IMAGES_DIRECTORY + userExists.image);
+  data.messages
+    .filter((message) => message.userFrom.equals(userExists._id))
+    .forEach((message) =>
+      message.attachments.forEach((attachment) =>
+        addFile(
+          "attachments/" + attachment.path,
+          ATTACHMENTS_DIRECTORY + attachment.path
+        )
+      )
+    );
+  return new ZipManager().createZip({ files });
+};
+
 /**
  * @description Get user
  * @param {String} user user id
+ * @param {String} email user email address
+ * @param {String} phone user phone number
+ * @param {String} googleID user google id
+ * @param {String} facebookID user facebook id
+ * @param {String} twitterID user twitter id
  * @returns {Object} user data
  */
 export const getUser = async (params) => {
-  const { user, email, phone, googleId, facebookId, twitterId } = params;
+  const { user, email, phone, googleID, facebookID, twitterID } = params;
   const query = {};
   if (user) query._id = user;
   if (email) query.email = email;
-  if (googleId) query.googleId = googleId;
-  if (facebookId) query.facebookId = facebookId;
-  if (twitterId) query.twitterId = twitterId;
+  if (googleID) query.googleID = googleID;
+  if (facebookID) query.facebookID = facebookID;
+  if (twitterID) query.twitterID = twitterID;
   if (phone) query.phone = phone;
   if (Object.keys(query).length === 0) query._id = null;
 
@@ -175,27 +687,67 @@ export const getUser = async (params) => {
 };
 
 /**
- * @description Get users
- * @param {String} keyword users search keyword
+ * @description Get users, paginated by page number or by cursor of the
+ * previous page
+ * @param {String} user user id not match
  * @param {String} keyword search keyword
  * @param {String} type users type
- * @param {String} user user id not match
+ * @param {String} status users status
+ * @param {Boolean} isOnline users connectivity state
+ * @param {Boolean} isEmailVerified users email verification check
+ * @param {Boolean} hasPhone users phone number existence check
+ * @param {Date} createdFrom users creation range start
+ * @param {Date} createdTo users creation range end
+ * @param {Date} lastLoginFrom users last login range start
+ * @param {Date} lastLoginTo users last login range end
+ * @param {String} sort comma separated sort fields, "-" prefixed descending
+ * @param {String} cursor nextCursor of previous page, overriding page and sort
+ * @param {Boolean} isCountRequired total count check
  * @param {Number} limit users limit
  * @param {Number} page users page number
- * @returns {[Object]} array of users
+ * @returns {Object} user data
  */
 export const getUsers = async (params) => {
-  const { type, user } = params;
-  let { page, limit, keyword } = params;
+  const {
+    user,
+    type,
+    status,
+    isOnline,
+    isEmailVerified,
+    hasPhone,
+    createdFrom,
+    createdTo,
+    lastLoginFrom,
+    lastLoginTo,
+    cursor,
+    isCountRequired,
+  } = params;
+  let { page, limit, keyword, sort } = params;
   if (!limit) limit = 10;
+  if (limit > 100) limit = 100;
   if (!page) page = 0;
   if (page) page = page - 1;
   const query = {};
 
-  if (type) query.type = type;
-  else query.type = { $ne: ADMIN };
+  if (type) {
+    if (Object.values(USER_TYPES).includes(type)) query.type = type;
+    else throw new Error("Please enter valid type!|||400");
+  } else query.type = { $ne: ADMIN };
   if (user) query._id = { $ne: user };
-  if (keyword) {
+  if (status) {
+    if (Object.values(USER_STATUSES).includes(status)) query.status = status;
+    else throw new Error("Please enter valid status!|||400");
+  }
+  if (typeof isOnline === "boolean") query.isOnline = isOnline;
+  if (typeof isEmailVerified === "boolean")
+    query.isEmailVerified = isEmailVerified;
+  if (typeof hasPhone === "boolean")
+    query.phone = hasPhone ? { $nin: [null, ""] } : { $in: [null, ""] };
+  const createdAt = getDateRange({ from: createdFrom, to: createdTo });
+  if (createdAt) query.createdAt = createdAt;
+  const lastLogin = getDateRange({ from: lastLoginFrom, to: lastLoginTo });
+  if (lastLogin) query.lastLogin = lastLogin;
+  if (typeof keyword === "string") {
     keyword = keyword.trim();
     if (keyword !== "")
       query.$or = [
@@ -203,10 +755,124 @@ export const getUsers = async (params) => {
         { name: { $regex: keyword, $options: "i" } },
       ];
   }
+
+  let filter = query;
+  let skip = page * limit;
+  if (cursor) {
+    const { values, sort: cursorSort } = decodeCursor(cursor);
+    sort = cursorSort;
+    filter = {
+      ...query,
+      $and: [getCursorQuery({ sort: parseSort(sort), values })],
+    };
+    skip = 0;
+  }
+  const sortObj = parseSort(sort);
+
+  const [users, totalCount] = await Promise.all([
+    usersModel
+      .find(filter)
+      .sort(sortObj)
+      .skip(skip)
+      .limit(limit + 1)
+      .select("+lastLogin -updatedAt -__v -fcms")
+      .lean(),
+    isCountRequired === true ? usersModel.countDocuments(query) : null,
+  ]);
+
+  // the extra document only tells whether another page exists
+  const data = users.slice(0, limit);
+  const lastUser = data[data.length - 1];
+  const result = {
+    data,
+    nextCursor:
+      users.length > limit
+        ? encodeCursor({
+            sort: sort ?? "",
+            values: Object.keys(sortObj).map((key) => lastUser[key] ?? null),
+          })
+        : null,
+  };
+  if (isCountRequired === true) {
+    result.totalCount = totalCount;
+    result.totalPages = Math.ceil(totalCount / limit);
+  }
+  return result;
+};
+
+/**
+ * @description Get users near a point, nearest first
+ * @param {String} user user id
+ * @param {Number} longitude point longitude
+ * @param {Number} latitude point latitude
+ * @param {Number} maxDistance maximum distance in meters
+ * @param {Number} minDistance minimum distance in meters
+ * @param {String} type user type
+ * @param {Boolean} isOnline user connectivity state
+ * @param {Number} limit users limit
+ * @param {Number} page users page number
+ * @returns {Object} user data having distance in meters
+ */
+export const getNearbyUsers = async (params) => {
+  const {
+    user,
+    longitude,
+    latitude,
+    maxDistance,
+    minDistance,
+    type,
+    isOnline,
+  } = params;
+  let { limit, page } = params;
+  if (!limit) limit = 10;
+  if (!page) page = 0;
+  if (page) page = page - 1;
+
+  if (
+    longitude >= -180 &&
+    longitude <= 180 &&
+    latitude >= -90 &&
+    latitude <= 90
+  );
+  else throw new Error("Please enter valid longitude and latitude!|||400");
+  if (
+    (maxDistance === undefined || maxDistance >= 0) &&
+    (minDistance === undefined || minDistance >= 0)
+  );
+  else throw new Error("Please enter valid distance!|||400");
+
+  const query = {};
+  query.status = ACTIVE;
+  query.isLocationShared = { $ne: false };
+  // default location of users who never shared one
+  query["location.coordinates"] = { $ne: [0, 0] };
+  // admin profiles are never listed, whatever type is asked for
+  if (type === undefined || type === CUSTOMER) query.type = CUSTOMER;
+  else throw new Error("Please enter valid type!|||400");
+  if (typeof isOnline === "boolean") query.isOnline = isOnline;
+  if (isValidObjectId(user)) query._id = { $ne: new ObjectId(user) };
+
+  const geoNear = {};
+  geoNear.near = { type: POINT, coordinates: [longitude, latitude] };
+  geoNear.distanceField = "distance";
+  geoNear.spherical = true;
+  geoNear.query = query;
+  if (maxDistance !== undefined) geoNear.maxDistance = maxDistance;
+  if (minDistance !== undefined) geoNear.minDistance = minDistance;
+
   const [result] = await usersModel.aggregate([
-    { $match: query },
-    { $sort: { createdAt: -1 } },
-    { $project: { password: 0, createdAt: 0, updatedAt: 0, __v: 0 } },
+    { $geoNear: geoNear },
+    {
+      $project: {
+        name: 1,
+        firstName: 1,
+        lastName: 1,
+        image: 1,
+        type: 1,
+        isOnline: 1,
+        distance: 1,
+      },
+    },
     {
       $facet: {
         totalCount: [{ $count: "totalCount" }],
@@ -228,3 +894,148 @@ export const getUsers = async (params) => {
   ]);
   return { data: [], totalCount: 0, totalPages: 0, ...result };
 };
+
+/**
+ * @description Check whether user only signed up by phone
+ * @param {Object} user user data
+ * @returns {Boolean} phone only user check
+ */
+export const isPhoneOnlyUser = (user) =>
+  !user.email && user.isPasswordSet === false;
+
+/**
+ * @description Get profiles held by user
+ * @param {Object} user user data with isCustomer and isAdmin selected
+ * @returns {[String]} array of profile types
+ */
+export const getUserProfiles = (user) => {
+  const profiles = [];
+  if (user.isCustomer || (user.type === CUSTOMER && user.customer))
+    profiles.push(CUSTOMER);
+  if (user.isAdmin || (user.type === ADMIN && user.admin)) profiles.push(ADMIN);
+  return profiles;
+};
+
+/**
+ * @description Check whether soft deleted user is still within grace period
+ * @param {Object} user user data
+ * @returns {Boolean} restorable user check
+ */
+export const isUserRestorable = (user) =>
+  user.status === DELETED && !user.purgedAt && user.purgeAt > new Date();
+
+/**
+ * @description Parse sort fields of users listing into sort object, breaking
+ * ties by _id for a stable cursor order
+ * @param {String} sort comma separated sort fields, "-" prefixed descending
+ * @returns {Object} sort object
+ */
+const parseSort = (sort) => {
+  if (!sort || typeof sort === "string");
+  else throw new Error("Please enter valid sort!|||400");
+  const sortObj = {};
+  (sort || "-createdAt")
+    .split(",")
+    .map((field) => field.trim())
+    .filter((field) => field !== "")
+    .forEach((field) => {
+      const key = field.replace(/^[-+]/, "");
+      if (USER_SORT_FIELDS.includes(key));
+      else throw new Error(`Please enter valid sort field ${key}!|||400`);
+      if (sortObj[key] === undefined)
+        sortObj[key] = field.startsWith("-") ? -1 : 1;
+    });
+  if (Object.keys(sortObj).length === 0) sortObj.createdAt = -1;
+  sortObj._id = Object.values(sortObj)[0];
+  return sortObj;
+};
+
+/**
+ * @description Get query matching documents after cursor position, treating
+ * null as the lowest value like MongoDB sorting does
+ * @param {Object} sort sort object
+ * @param {[Object]} values sort field values of last document
+ * @returns {Object} cursor query
+ */
+const getCursorQuery = (params) => {
+  const { sort, values } = params;
+  const keys = Object.keys(sort);
+  if (Array.isArray(values) && values.length === keys.length);
+  else throw new Error("Please enter valid cursor!|||400");
+  const $or = [];
+  keys.forEach((key, index) => {
+    const value = values[index];
+    const equalities = {};
+    keys.slice(0, index).forEach((previousKey, previousIndex) => {
+      equalities[previousKey] = values[previousIndex];
+    });
+    if (sort[key] === 1)
+      $or.push({
+        ...equalities,
+        [key]: value === null ? { $ne: null } : { $gt: value },
+      });
+    else if (value !== null)
+      $or.push({
+        ...equalities,
+        $or: [{ [key]: { $lt: value } }, { [key]: null }],
+      });
+  });
+  return { $or };
+};
+
+/**
+ * @description Encode cursor of users listing as opaque string
+ * @param {String} sort sort fields
+ * @param {[Object]} values sort field values of last document
+ * @returns {String} cursor
+ */
+const encodeCursor = (params) => {
+  const { sort, values } = params;
+  return Buffer.from(EJSON.stringify({ sort, values })).toString("base64url");
+};
+
+/**
+ * @description Decode cursor of users listing
+ * @param {String} cursor cursor
+ * @returns {Object} sort fields and sort field values of last document
+ */
+const decodeCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    throw new Error("Please enter valid cursor!|||400");
+  }
+  const { sort, values } = decoded ?? {};
+  if (
+    typeof sort === "string" &&
+    Array.isArray(values) &&
+    values.every(
+      (element) =>
+        element === null ||
+        typeof element === "string" ||
+        element instanceof Date ||
+        element instanceof ObjectId
+    )
+  );
+  else throw new Error("Please enter valid cursor!|||400");
+  return { sort, values };
+};
+
+/**
+ * @description Get date range query
+ * @param {Date} from range start
+ * @param {Date} to range end
+ * @returns {Object} date range query, undefined without bounds
+ */
+const getDateRange = (params) => {
+  const { from, to } = params;
+  if (from || to);
+  else return;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some((date) => isNaN(date)))
+    throw new Error("Please enter valid date range!|||400");
+  return range;
+};
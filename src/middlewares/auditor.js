@@ -0,0 +1,38 @@
+// file imports
+import * as auditEventsController from "../controllers/audit-events.js";
+import { AUDIT_OUTCOMES } from "../configs/enums.js";
+
+// destructuring assignments
+const { SUCCESS, FAILURE } = AUDIT_OUTCOMES;
+
+/**
+ * @description Record audit event of state-changing request once response is
+ * sent, treating error responses as failures. Registered ahead of auth guards
+ * so denied requests are recorded too
+ * @param {String} event audit event
+ * @returns {Function} middleware
+ */
+export const auditEvent = (event) => {
+  return (req, res, next) => {
+    if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+    // route params are gone once an error leaves the router
+    const target = req.params.user ?? req.body?.user ?? req.query?.user;
+    res.on("finish", () => {
+      const args = {};
+      args.event = event;
+      args.outcome = res.statusCode < 400 ? SUCCESS : FAILURE;
+      args.actor = req.user?._id;
+      args.target = target;
+      args.ip = req.ip;
+      args.userAgent = req.headers["user-agent"];
+      args.metadata = {
+        method: req.method,
+        path: req.baseUrl + req.path,
+        statusCode: res.statusCode,
+      };
+      if (req.impersonator) args.metadata.impersonator = req.impersonator._id;
+      auditEventsController.addAuditEvent(args);
+    });
+    next();
+  };
+};
@@ -1,16 +1,27 @@
-// module imports
-import jwt from "jsonwebtoken";
-
 // file imports
 import { exceptionHandler } from "./exception-handler.js";
 import models from "../models/index.js";
-import { USER_STATUSES, USER_TYPES } from "../configs/enums.js";
+import * as loginAttemptsController from "../controllers/login-attempts.js";
+import * as otpsController from "../controllers/otps.js";
+import * as rolesController from "../controllers/roles.js";
+import * as apiKeysController from "../controllers/api-keys.js";
+import * as impersonationsController from "../controllers/impersonations.js";
+import JWTManager from "../utils/jwt-manager.js";
+import CookieManager from "../utils/cookie-manager.js";
+import {
+  USER_STATUSES,
+  USER_TYPES,
+  SESSION_STATUSES,
+  EMAIL_VERIFICATION_POLICIES,
+  LOGIN_ATTEMPT_TYPES,
+} from "../configs/enums.js";
 
 // destructuring assignments
-const { JWT_SECRET } = process.env;
-const { usersModel } = models;
+const { EMAIL_VERIFICATION_POLICY, TWO_FACTOR_REQUIRED_TYPES } = process.env;
+const { usersModel, sessionsModel } = models;
 const { ACTIVE, DELETED } = USER_STATUSES;
-const { CUSTOMER, ADMIN, SUPER_ADMIN } = USER_TYPES;
+const { CUSTOMER, ADMIN, SUPER_ADMIN, MULTI } = USER_TYPES;
+const { OTP } = LOGIN_ATTEMPT_TYPES;
 
 /**
  * @description Get JWT token
@@ -22,7 +33,7 @@ const { CUSTOMER, ADMIN, SUPER_ADMIN } = USER_TYPES;
  * @returns {Object} JWT token
  */
 export const getToken = function (params) {
-  return jwt.sign(params, process.env.JWT_SECRET);
+  return new JWTManager().sign({ payload: params });
 };
 
 export const verifyToken = async (
@@ -31,6 +42,23 @@ export const verifyToken = async (
   next,
   shouldReturnUserOnFailure = false
 ) => {
+  // server-to-server integrations authenticate with scoped API keys instead
+  const apiKey = req.headers["x-api-key"];
+  if (apiKey)
+    try {
+      req.apiKey = await apiKeysController.verifyApiKey({
+        key: apiKey,
+        ip: req.ip,
+      });
+      return next();
+    } catch (error) {
+      if (shouldReturnUserOnFailure) {
+        req.user = null;
+        return next();
+      }
+      return next(error);
+    }
+
   try {
     const token =
       (req.headers.authorization &&
@@ -38,19 +66,54 @@ export const verifyToken = async (
       (req.signedCookies && req.signedCookies.jwt) ||
       (req.cookies && req.cookies.jwt);
     if (token) {
-      const verificationObject = jwt.verify(token.trim(), JWT_SECRET);
+      const verificationObject = new JWTManager().verify({
+        token: token.trim(),
+      });
 
       if (verificationObject.shouldValidateOTP) {
         req.user = verificationObject;
         return next();
       }
+      // impersonation tokens ride on the impersonating admin's session
+      const { impersonator } = verificationObject;
+      const session =
+        verificationObject.session &&
+        (await sessionsModel.findOne({
+          _id: verificationObject.session,
+          user: impersonator ?? verificationObject._id,
+          status: SESSION_STATUSES.ACTIVE,
+        }));
+      if (session);
+      else if (shouldReturnUserOnFailure) {
+        req.user = null;
+        return next();
+      } else return next(new Error("Session expired!|||401"));
+      if (Date.now() - session.lastUsedAt > 60 * 1000)
+        await sessionsModel.updateOne(
+          { _id: session._id },
+          { lastUsedAt: new Date() }
+        );
       const user = await usersModel
         .findOne({ _id: verificationObject._id })
         .select("-createdAt -updatedAt -__v -fcms");
       if (user) {
         if (user.status === DELETED)
-          next(new Error("User account deleted!|||403"));
+          return next(new Error("User account deleted!|||403"));
+        if (impersonator) {
+          req.impersonator = await usersModel.findOne({
+            _id: impersonator,
+            type: SUPER_ADMIN,
+            status: ACTIVE,
+          });
+          if (req.impersonator);
+          else return next(new Error("Unauthorized!|||401"));
+          logImpersonatedRequest(req, res);
+        }
         req.user = user;
+        req.session = session;
+        // multi-profile users act through the profile chosen for the session
+        req.profile =
+          user.type === MULTI ? verificationObject.profile : user.type;
         return next();
       }
     }
@@ -64,40 +127,141 @@ export const verifyToken = async (
       req.user = null;
       return next();
     }
+    if (error.name === "TokenExpiredError")
+      return next(new Error("Token expired!|||401"));
     return next(new Error("Unauthorized!|||401"));
   }
 };
 
-export const verifyOTP = exceptionHandler(async (req, res, next) => {
-  const { otp } = req.user;
-  const { code } = req.body;
-  const query = {};
-  if (req?.user?._id) query._id = req.user._id;
-  else if (req?.user?.phone) query.phone = req.user.phone;
-  else query._id = null;
-  const userExists = await usersModel.findOne(query).select("+otp");
-
-  if (userExists && code === userExists?.otp) next();
-  else if (code === otp) next();
-  else return next(new Error("Invalid Code!|||400"));
-});
+/**
+ * @description Authenticate socket handshake token, leaving sockets without
+ * token anonymous
+ * @param {Object} socket socket instance
+ * @param {Function} next socket middleware callback
+ * @returns {null} null
+ */
+export const verifySocketToken = async (socket, next) => {
+  const { auth, headers } = socket.handshake;
+  const token =
+    auth?.token ||
+    (headers.authorization && headers.authorization.split("Bearer")[1]);
+  if (token);
+  else return next();
+  try {
+    const { _id, session, impersonator, exp } = new JWTManager().verify({
+      token: token.trim(),
+    });
+    // impersonated requests are logged per response, which sockets lack
+    if (session && !impersonator);
+    else return next(new Error("Unauthorized!|||401"));
+    if (
+      await sessionsModel.exists({
+        _id: session,
+        user: _id,
+        status: SESSION_STATUSES.ACTIVE,
+      })
+    );
+    else return next(new Error("Session expired!|||401"));
+    const user = await usersModel
+      .findOne({ _id, status: ACTIVE })
+      .select("_id type status");
+    if (user);
+    else return next(new Error("Unauthorized!|||401"));
+    socket.user = user;
+    socket.session = session;
+    socket.expireAt = exp * 1000;
+    next();
+  } catch (error) {
+    if (error.name === "TokenExpiredError")
+      return next(new Error("Token expired!|||401"));
+    return next(new Error("Unauthorized!|||401"));
+  }
+};
+
+export const blockImpersonation = (req, res, next) => {
+  if (req?.impersonator)
+    return next(new Error("Action not allowed while impersonating!|||403"));
+  next();
+};
+
+// cookie authenticated state-changing requests must echo the CSRF token
+export const verifyCSRF = (req, res, next) => {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+  const cookieManager = new CookieManager();
+  if (
+    cookieManager.hasAuthCookies({ req }) &&
+    !cookieManager.validateCSRFToken({ req })
+  )
+    return next(new Error("Invalid CSRF token!|||403"));
+  next();
+};
+
+export const verifyOTP = (purpose) =>
+  exceptionHandler(async (req, res, next) => {
+    const { _id: user, phone, email, shouldValidateOTP } = req?.user ?? {};
+    const { code } = req.body;
+    if (shouldValidateOTP && req.user.purpose === purpose);
+    else return next(new Error("Invalid OTP token!|||400"));
+
+    const attemptObj = { user, phone, ip: req.ip, type: OTP };
+    await loginAttemptsController.checkLoginAttempts(attemptObj);
+    try {
+      await otpsController.verifyOTP({ phone, email, purpose, code });
+    } catch (error) {
+      await loginAttemptsController.addFailedLoginAttempt(attemptObj);
+      throw error;
+    }
+    await loginAttemptsController.resetLoginAttempts(attemptObj);
+    next();
+  });
 
 export const verifyAdmin = (req, res, next) => {
   if (
-    (req?.user?.type === ADMIN || req?.user?.type === SUPER_ADMIN) &&
+    (req?.profile === ADMIN || req?.user?.type === SUPER_ADMIN) &&
     req?.user?.status === ACTIVE
   )
-    next();
+    checkTwoFactorPolicy(req, res, next);
   else return next(new Error("Unauthorized as admin!|||403"));
 };
 
 export const verifySuperAdmin = (req, res, next) => {
-  if (req?.user?.type === SUPER_ADMIN && req?.user?.status === ACTIVE) next();
+  if (req?.user?.type === SUPER_ADMIN && req?.user?.status === ACTIVE)
+    checkTwoFactorPolicy(req, res, next);
   else return next(new Error("Unauthorized as super-admin!|||403"));
 };
 
+export const requirePermission = (permission) =>
+  exceptionHandler(async (req, res, next) => {
+    if (req?.apiKey) {
+      if (req.apiKey.scopes.includes(permission)) return next();
+      return next(new Error(`API key missing scope ${permission}!|||403`));
+    }
+    if (
+      req?.user?.status === ACTIVE &&
+      (await rolesController.hasPermission({
+        user: req.user,
+        profile: req.profile,
+        permission,
+      }))
+    )
+      checkTwoFactorPolicy(req, res, next);
+    else return next(new Error(`Missing permission ${permission}!|||403`));
+  });
+
+export const checkTwoFactorPolicy = (req, res, next) => {
+  const types = (TWO_FACTOR_REQUIRED_TYPES ?? "")
+    .split(",")
+    .map((type) => type.trim());
+  if (
+    (types.includes(req?.user?.type) || types.includes(req?.profile)) &&
+    !req?.user?.isTwoFactorEnabled
+  )
+    return next(new Error("Please enable two-factor authentication!|||403"));
+  next();
+};
+
 export const verifyCustomer = (req, res, next) => {
-  if (req?.user?.type === CUSTOMER && req?.user?.status === ACTIVE) next();
+  if (req?.profile === CUSTOMER && req?.user?.status === ACTIVE) next();
   else return next(new Error("Unauthorized as customer!|||403"));
 };
 
@@ -106,6 +270,17 @@ export const verifyUser = (req, res, next) => {
   else return next(new Error("Unauthorized as user!|||403"));
 };
 
+export const checkEmailVerified = (req, res, next) => {
+  if (
+    (EMAIL_VERIFICATION_POLICY === EMAIL_VERIFICATION_POLICIES.LOGIN ||
+      EMAIL_VERIFICATION_POLICY === EMAIL_VERIFICATION_POLICIES.ROUTES) &&
+    req?.user?.email &&
+    !req?.user?.isEmailVerified
+  )
+    return next(new Error("Please verify your email address!|||403"));
+  next();
+};
+
 export const verifyUserToken = async (req, res, next) => {
   if (req?.user?._id) next();
   else return next(new Error("Invalid user token!|||400"));
@@ -116,3 +291,25 @@ export const checkUserPhoneExists = exceptionHandler(async (req, res, next) => {
   if (userExists) next();
   else next(new Error("User not found!|||404"));
 });
+
+/**
+ * @description Log impersonated request once its response is sent
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @returns {null} null
+ */
+const logImpersonatedRequest = (req, res) => {
+  res.on("finish", () =>
+    impersonationsController
+      .addImpersonationLog({
+        impersonator: req.impersonator._id,
+        user: req.user._id,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
+      })
+      .catch((error) => console.log("Impersonation log error", error))
+  );
+};
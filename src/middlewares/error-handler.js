@@ -30,6 +30,8 @@ const error = (err, req, res, next) => {
     error = new ErrorHandler(message, 400);
   }
 
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+
   res.status(Number(error.statusCode)).json({
     error: error.message || "Server Error",
   });
@@ -0,0 +1,67 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { API_KEY_STATUSES, PERMISSIONS } from "../configs/enums.js";
+
+// destructuring assignments
+const { ACTIVE, REVOKED } = API_KEY_STATUSES;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const apiKeySchema = new Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      required: [true, "Please enter API key name!"],
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: Object.values(PERMISSIONS),
+      },
+    ],
+    ips: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: [ACTIVE, REVOKED],
+      default: ACTIVE,
+      index: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIP: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("apiKeys", apiKeySchema);
@@ -0,0 +1,79 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { AUDIT_EVENTS, AUDIT_OUTCOMES } from "../configs/enums.js";
+
+// destructuring assignments
+const { SUCCESS, FAILURE } = AUDIT_OUTCOMES;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const auditEventSchema = new Schema(
+  {
+    event: {
+      type: String,
+      enum: Object.values(AUDIT_EVENTS),
+      required: true,
+      index: true,
+    },
+    outcome: {
+      type: String,
+      enum: [SUCCESS, FAILURE],
+      required: true,
+      index: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      index: true,
+    },
+    target: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      index: true,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    metadata: {
+      type: Object,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+
+// audit trail is append-only
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+    "findOneAndRemove",
+  ],
+  function () {
+    throw new Error("Audit events cannot be modified!|||403");
+  }
+);
+auditEventSchema.pre("save", function () {
+  if (this.isNew);
+  else throw new Error("Audit events cannot be modified!|||403");
+});
+
+export default model("auditEvents", auditEventSchema);
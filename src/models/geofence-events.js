@@ -0,0 +1,50 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { GEOFENCE_TRANSITIONS, GEO_JSON_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { ENTER, EXIT } = GEOFENCE_TRANSITIONS;
+const { POINT } = GEO_JSON_TYPES;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const geofenceEventSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    geofence: {
+      type: Schema.Types.ObjectId,
+      ref: "geofences",
+      required: true,
+      index: true,
+    },
+    transition: {
+      type: String,
+      enum: [ENTER, EXIT],
+      required: true,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: [POINT],
+        default: POINT,
+      },
+      coordinates: {
+        type: [Number],
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("geofenceEvents", geofenceEventSchema);
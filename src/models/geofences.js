@@ -0,0 +1,54 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { GEO_JSON_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { POLYGON, MULTIPOLYGON } = GEO_JSON_TYPES;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const geofenceSchema = new Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      unique: true,
+      required: [true, "Please enter geofence name!"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    area: {
+      type: {
+        type: String,
+        enum: [POLYGON, MULTIPOLYGON],
+        required: true,
+      },
+      coordinates: {
+        type: Array,
+        required: true,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+geofenceSchema.index({ area: "2dsphere" });
+
+export default model("geofences", geofenceSchema);
@@ -0,0 +1,47 @@
+// module imports
+import mongoose from "mongoose";
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const impersonationLogSchema = new Schema(
+  {
+    impersonator: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("impersonationLogs", impersonationLogSchema);
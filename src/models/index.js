@@ -2,21 +2,49 @@
 
 // file imports
 import admins from "./admins.js";
+import apiKeys from "./api-keys.js";
+import auditEvents from "./audit-events.js";
 import conversations from "./conversations.js";
 import customers from "./customers.js";
+import geofenceEvents from "./geofence-events.js";
+import geofences from "./geofences.js";
+import impersonationLogs from "./impersonation-logs.js";
+import invites from "./invites.js";
+import knownDevices from "./known-devices.js";
+import locationShares from "./location-shares.js";
+import locations from "./locations.js";
+import loginAttempts from "./login-attempts.js";
 import messages from "./messages.js";
 import notifications from "./notifications.js";
+import otps from "./otps.js";
 import paymentAccounts from "./payment-accounts.js";
+import roles from "./roles.js";
+import sessions from "./sessions.js";
+import signingKeys from "./signing-keys.js";
 import users from "./users.js";
 import userTokens from "./user-tokens.js";
 
 export default {
   adminsModel: admins,
+  apiKeysModel: apiKeys,
+  auditEventsModel: auditEvents,
   conversationsModel: conversations,
   customersModel: customers,
+  geofenceEventsModel: geofenceEvents,
+  geofencesModel: geofences,
+  impersonationLogsModel: impersonationLogs,
+  invitesModel: invites,
+  knownDevicesModel: knownDevices,
+  locationSharesModel: locationShares,
+  locationsModel: locations,
+  loginAttemptsModel: loginAttempts,
   messagesModel: messages,
   notificationsModel: notifications,
+  otpsModel: otps,
   paymentAccountsModel: paymentAccounts,
+  rolesModel: roles,
+  sessionsModel: sessions,
+  signingKeysModel: signingKeys,
   usersModel: users,
   userTokensModel: userTokens,
 };
@@ -0,0 +1,63 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { INVITE_STATUSES, USER_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { PENDING, ACCEPTED, REVOKED } = INVITE_STATUSES;
+const { ADMIN, SUPER_ADMIN } = USER_TYPES;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const inviteSchema = new Schema(
+  {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: [true, "Please enter email address!"],
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: [ADMIN, SUPER_ADMIN],
+      default: ADMIN,
+      required: true,
+    },
+    roles: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "roles",
+      },
+    ],
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [PENDING, ACCEPTED, REVOKED],
+      default: PENDING,
+      index: true,
+    },
+    expireAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("invites", inviteSchema);
@@ -0,0 +1,46 @@
+// module imports
+import mongoose from "mongoose";
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const knownDeviceSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    device: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    // coarse ip ranges the device logged in from
+    networks: [
+      {
+        type: String,
+      },
+    ],
+    lastLoginAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+knownDeviceSchema.index({ user: 1, fingerprint: 1 }, { unique: true });
+
+export default model("knownDevices", knownDeviceSchema);
@@ -0,0 +1,35 @@
+// module imports
+import mongoose from "mongoose";
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const locationShareSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    viewer: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    expireAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+locationShareSchema.index({ user: 1, viewer: 1 }, { unique: true });
+locationShareSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("locationShares", locationShareSchema);
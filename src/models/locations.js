@@ -0,0 +1,69 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { GEO_JSON_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { POINT } = GEO_JSON_TYPES;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const locationSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: [POINT],
+        default: POINT,
+      },
+      coordinates: {
+        type: [Number],
+        required: true,
+      },
+    },
+    // accuracy radius in meters
+    accuracy: {
+      type: Number,
+      min: 0,
+    },
+    altitude: {
+      type: Number,
+    },
+    // degrees clockwise from true north
+    heading: {
+      type: Number,
+      min: 0,
+      max: 360,
+    },
+    // meters per second
+    speed: {
+      type: Number,
+      min: 0,
+    },
+    // time of the fix on the client device
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+    expireAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+locationSchema.index({ user: 1, recordedAt: -1 });
+locationSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("locations", locationSchema);
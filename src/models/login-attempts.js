@@ -0,0 +1,50 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { LOGIN_ATTEMPT_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { LOGIN, OTP } = LOGIN_ATTEMPT_TYPES;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const loginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: [LOGIN, OTP],
+      required: true,
+      index: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expireAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ key: 1, type: 1 }, { unique: true });
+loginAttemptSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("loginAttempts", loginAttemptSchema);
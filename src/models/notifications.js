@@ -5,7 +5,8 @@ import mongoose from "mongoose";
 import { NOTIFICATION_TYPES, NOTIFICATION_STATUSES } from "../configs/enums.js";
 
 // destructuring assignments
-const { NEW_MESSAGE, NEW_CONVERSATION } = NOTIFICATION_TYPES;
+const { NEW_MESSAGE, NEW_CONVERSATION, GEOFENCE_ENTER, GEOFENCE_EXIT } =
+  NOTIFICATION_TYPES;
 const { UNREAD, READ } = NOTIFICATION_STATUSES;
 
 // variable initializations
@@ -16,7 +17,7 @@ const notificationSchema = new Schema(
   {
     type: {
       type: String,
-      enum: [NEW_MESSAGE, NEW_CONVERSATION],
+      enum: [NEW_MESSAGE, NEW_CONVERSATION, GEOFENCE_ENTER, GEOFENCE_EXIT],
       required: true,
       index: true,
     },
@@ -34,6 +35,10 @@ const notificationSchema = new Schema(
       ref: "users",
       index: true,
     },
+    geofence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "geofences",
+    },
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "users",
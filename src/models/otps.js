@@ -0,0 +1,60 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { OTP_PURPOSES, OTP_CHANNELS } from "../configs/enums.js";
+
+// destructuring assignments
+const { LOGIN, PHONE_CHANGE, SENSITIVE_ACTION, MAGIC_LINK } = OTP_PURPOSES;
+const { SMS, EMAIL } = OTP_CHANNELS;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const otpSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      index: true,
+    },
+    target: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: [LOGIN, PHONE_CHANGE, SENSITIVE_ACTION, MAGIC_LINK],
+      required: true,
+      index: true,
+    },
+    channel: {
+      type: String,
+      enum: [SMS, EMAIL],
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    expireAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+otpSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("otps", otpSchema);
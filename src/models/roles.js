@@ -0,0 +1,36 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { PERMISSIONS } from "../configs/enums.js";
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const roleSchema = new Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      required: [true, "Please enter role name!"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    permissions: [
+      {
+        type: String,
+        enum: Object.values(PERMISSIONS),
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("roles", roleSchema);
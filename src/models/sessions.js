@@ -0,0 +1,62 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { SESSION_STATUSES, USER_TYPES } from "../configs/enums.js";
+
+// destructuring assignments
+const { ACTIVE, REVOKED } = SESSION_STATUSES;
+const { CUSTOMER, ADMIN } = USER_TYPES;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    device: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    profile: {
+      type: String,
+      enum: [CUSTOMER, ADMIN],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: [ACTIVE, REVOKED],
+      default: ACTIVE,
+      required: true,
+      index: true,
+    },
+    expireAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("sessions", sessionSchema);
@@ -0,0 +1,52 @@
+// module imports
+import mongoose from "mongoose";
+
+// file imports
+import { JWT_ALGORITHMS } from "../configs/enums.js";
+
+// destructuring assignments
+const { RS256, ES256 } = JWT_ALGORITHMS;
+
+// variable initializations
+const Schema = mongoose.Schema;
+const model = mongoose.model;
+
+const signingKeySchema = new Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    algorithm: {
+      type: String,
+      enum: [RS256, ES256],
+      required: true,
+    },
+    publicKey: {
+      type: String,
+      required: true,
+    },
+    privateKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    activatedAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    expireAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+signingKeySchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("signingKeys", signingKeySchema);
@@ -1,6 +1,22 @@
 // module imports
 import mongoose from "mongoose";
 
+// file imports
+import { USER_TOKEN_TYPES, USER_TOKEN_STATUSES } from "../configs/enums.js";
+
+// destructuring assignments
+const {
+  RESET_PASSWORD,
+  EMAIL_VERIFICATION,
+  ACCOUNT_UNLOCK,
+  REFRESH,
+  MAGIC_LINK,
+  EMAIL_CHANGE,
+  EMAIL_CHANGE_CANCEL,
+  LOGIN_ALERT,
+} = USER_TOKEN_TYPES;
+const { ACTIVE, USED, REVOKED } = USER_TOKEN_STATUSES;
+
 // variable initializations
 const Schema = mongoose.Schema;
 const model = mongoose.model;
@@ -15,6 +31,42 @@ const userTokenSchema = new Schema({
   token: {
     type: String,
     required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: [
+      RESET_PASSWORD,
+      EMAIL_VERIFICATION,
+      ACCOUNT_UNLOCK,
+      REFRESH,
+      MAGIC_LINK,
+      EMAIL_CHANGE,
+      EMAIL_CHANGE_CANCEL,
+      LOGIN_ALERT,
+    ],
+    required: true,
+    index: true,
+  },
+  family: {
+    type: String,
+    index: true,
+  },
+  binding: {
+    type: String,
+    select: false,
+  },
+  // requested email address of email change tokens
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: [ACTIVE, USED, REVOKED],
+    default: ACTIVE,
+    required: true,
   },
   expireAt: {
     type: Date,
@@ -1,12 +1,14 @@
 // module imports
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 
 // file imports
+import JWTManager from "../utils/jwt-manager.js";
+import PasswordValidator from "../utils/password-validator.js";
 import { USER_STATUSES, USER_TYPES, GEO_JSON_TYPES } from "../configs/enums.js";
 
 // destructuring assignments
+const { PASSWORD_HISTORY_COUNT } = process.env;
 const { ACTIVE, DELETED } = USER_STATUSES;
 const { CUSTOMER, ADMIN, SUPER_ADMIN, MULTI } = USER_TYPES;
 const {
@@ -33,8 +35,15 @@ const userSchema = new Schema(
       type: String,
       lowercase: true,
       trim: true,
-      required: [true, "Please enter email address!"],
+      // phone sign-ups may add their email address later
+      required: [
+        function () {
+          return !this.phone;
+        },
+        "Please enter email address!",
+      ],
       unique: [true, "Email must be unique!"],
+      sparse: true,
       validate: {
         validator: function (v) {
           return /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(v);
@@ -53,7 +62,8 @@ const userSchema = new Schema(
     phone: {
       type: String,
       trim: true,
-      index: true,
+      unique: true,
+      sparse: true,
     },
     firstName: {
       type: String,
@@ -92,6 +102,20 @@ const userSchema = new Schema(
         required: true,
       },
     },
+    isLocationShared: {
+      type: Boolean,
+      default: true,
+    },
+    // geofences the user is currently inside
+    geofences: {
+      type: [
+        {
+          type: Schema.Types.ObjectId,
+          ref: "geofences",
+        },
+      ],
+      select: false,
+    },
     type: {
       type: String,
       enum: [CUSTOMER, ADMIN, SUPER_ADMIN, MULTI],
@@ -104,21 +128,59 @@ const userSchema = new Schema(
       default: ACTIVE,
       index: true,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
     isOnline: {
       type: Boolean,
       default: false,
       index: true,
     },
+    isProfileCompleted: {
+      type: Boolean,
+      default: true,
+    },
     isPasswordSet: {
       type: Boolean,
       default: true,
       select: false,
       required: true,
     },
+    // hashes of previous passwords, most recent first
+    passwordHistory: {
+      type: [String],
+      select: false,
+    },
+    isPasswordChangeRequired: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
     lastLogin: {
       type: Date,
       select: false,
     },
+    // set when a login is reported as not made by the user
+    isPasswordResetRequired: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    purgeAt: {
+      type: Date,
+      index: true,
+    },
+    purgedAt: {
+      type: Date,
+    },
     customer: {
       type: Schema.Types.ObjectId,
       ref: "customers",
@@ -131,6 +193,12 @@ const userSchema = new Schema(
       select: false,
       index: true,
     },
+    roles: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "roles",
+      },
+    ],
     isCustomer: {
       type: Boolean,
       select: false,
@@ -144,40 +212,91 @@ const userSchema = new Schema(
     googleID: {
       type: String,
       trim: true,
+      sparse: true,
+      unique: true,
     },
     facebookID: {
       type: String,
       trim: true,
+      sparse: true,
+      unique: true,
     },
     twitterID: {
       type: String,
       trim: true,
+      sparse: true,
+      unique: true,
+    },
+    isTwoFactorEnabled: {
+      type: Boolean,
+      default: false,
     },
-    otp: {
+    twoFactorSecret: {
       type: String,
       select: false,
     },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-userSchema.methods.getSignedjwtToken = function () {
-  return jwt.sign({ _id: this._id, type: this.type }, process.env.JWT_SECRET);
+userSchema.index({ location: "2dsphere" });
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ lastLogin: -1, _id: -1 });
+
+userSchema.methods.getSignedjwtToken = function (params) {
+  const { session, profile } = params ?? {};
+  const payload = { _id: this._id, type: this.type };
+  if (session) payload.session = session;
+  if (profile) payload.profile = profile;
+  return new JWTManager().sign({ payload });
 };
 
 userSchema.methods.populate = async function (field) {
   if (field === SUPER_ADMIN || this.type === SUPER_ADMIN) field = "";
+  if (field === MULTI || (!field && this.type === MULTI))
+    field = [CUSTOMER, ADMIN].join(" ");
   return await model("users", userSchema)
     .findById(this._id)
     .populate(field ?? this.type);
 };
 
 userSchema.methods.setPassword = async function (newPassword) {
+  new PasswordValidator().validatePassword(newPassword);
+  const userExists = await model("users", userSchema)
+    .findById(this._id)
+    .select("+password +passwordHistory");
+  const previousPasswords = [
+    userExists.password,
+    ...(userExists.passwordHistory ?? []),
+  ];
+  for (const previousPassword of previousPasswords)
+    if (await bcrypt.compare(newPassword, previousPassword))
+      throw new Error(
+        "Password used recently, please choose another one!|||400"
+      );
+
+  this.passwordHistory = previousPasswords.slice(
+    0,
+    Number(PASSWORD_HISTORY_COUNT || 5)
+  );
+  this.password = await model("users", userSchema).hashPassword(newPassword);
+  this.isPasswordChangeRequired = false;
+  await this.save();
+};
+
+userSchema.statics.hashPassword = async function (password) {
   const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(newPassword, salt);
-  this.save();
+  return await bcrypt.hash(password, salt);
 };
 
 userSchema.methods.validatePassword = async function (enteredPassword) {
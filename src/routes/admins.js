@@ -3,23 +3,37 @@ import express from "express";
 
 // file imports
 import * as adminsController from "../controllers/admins.js";
-import { verifyToken, verifyAdmin } from "../middlewares/authenticator.js";
+import * as apiKeysController from "../controllers/api-keys.js";
+import * as impersonationsController from "../controllers/impersonations.js";
+import * as invitesController from "../controllers/invites.js";
+import * as signingKeysController from "../controllers/signing-keys.js";
+import * as auditEventsController from "../controllers/audit-events.js";
+import { PERMISSIONS, AUDIT_EVENTS } from "../configs/enums.js";
+import {
+  verifyToken,
+  verifyUser,
+  verifySuperAdmin,
+  requirePermission,
+  blockImpersonation,
+} from "../middlewares/authenticator.js";
+import { auditEvent } from "../middlewares/auditor.js";
 import { exceptionHandler } from "../middlewares/exception-handler.js";
 
 // destructuring assignments
-const { SECRET } = process.env;
+const { DB_CLEAN, API_KEYS_MANAGE, AUDIT_READ } = PERMISSIONS;
+const { API_KEY_CHANGE, IMPERSONATION, INVITE_CHANGE, SIGNING_KEY_ROTATION } =
+  AUDIT_EVENTS;
 
 // variable initializations
 const router = express.Router();
 
 router.delete(
   "/clean/DB",
+  auditEvent(AUDIT_EVENTS.DB_CLEAN),
   verifyToken,
-  verifyAdmin,
+  requirePermission(DB_CLEAN),
+  blockImpersonation,
   exceptionHandler(async (req, res) => {
-    const { secret } = req.headers;
-    if (secret === SECRET);
-    else throw new Error("Invalid SECRET!|||400");
     await adminsController.cleanDB();
     res.json({
       message: "Operation completed successfully!",
@@ -27,4 +41,177 @@ router.delete(
   })
 );
 
+router
+  .route("/api-keys")
+  .all(
+    auditEvent(API_KEY_CHANGE),
+    verifyToken,
+    verifyUser,
+    blockImpersonation,
+    requirePermission(API_KEYS_MANAGE)
+  )
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const { name, scopes, ips } = req.body;
+      const args = { user, name, scopes, ips };
+      const response = await apiKeysController.addApiKey(args);
+      res.json(response);
+    })
+  )
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { page, limit, status } = req.query;
+      const args = { status, limit: Number(limit), page: Number(page) };
+      const response = await apiKeysController.getApiKeys(args);
+      res.json(response);
+    })
+  );
+
+router
+  .route("/api-keys/:apiKey")
+  .all(
+    auditEvent(API_KEY_CHANGE),
+    verifyToken,
+    verifyUser,
+    blockImpersonation,
+    requirePermission(API_KEYS_MANAGE)
+  )
+  .put(
+    exceptionHandler(async (req, res) => {
+      const { apiKey } = req.params;
+      const args = { apiKey };
+      const response = await apiKeysController.rotateApiKey(args);
+      res.json(response);
+    })
+  )
+  .delete(
+    exceptionHandler(async (req, res) => {
+      const { apiKey } = req.params;
+      const args = { apiKey };
+      const response = await apiKeysController.revokeApiKey(args);
+      res.json(response);
+    })
+  );
+
+router
+  .route("/impersonations")
+  .all(
+    auditEvent(IMPERSONATION),
+    verifyToken,
+    verifySuperAdmin,
+    blockImpersonation
+  )
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { _id: impersonator } = req?.user;
+      const { _id: session } = req?.session;
+      const { user } = req.body;
+      const args = { impersonator, session, user };
+      const response = await impersonationsController.impersonateUser(args);
+      res.json(response);
+    })
+  )
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { page, limit, impersonator, user } = req.query;
+      const args = {
+        impersonator,
+        user,
+        limit: Number(limit),
+        page: Number(page),
+      };
+      const response = await impersonationsController.getImpersonationLogs(
+        args
+      );
+      res.json(response);
+    })
+  );
+
+router
+  .route("/invites")
+  .all(
+    auditEvent(INVITE_CHANGE),
+    verifyToken,
+    verifySuperAdmin,
+    blockImpersonation
+  )
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { _id: invitedBy } = req?.user;
+      const { email, type, roles } = req.body;
+      const args = { invitedBy, email, type, roles };
+      const response = await invitesController.addInvite(args);
+      res.json(response);
+    })
+  )
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { page, limit, status } = req.query;
+      const args = { status, limit: Number(limit), page: Number(page) };
+      const response = await invitesController.getInvites(args);
+      res.json(response);
+    })
+  );
+
+router.delete(
+  "/invites/:invite",
+  auditEvent(INVITE_CHANGE),
+  verifyToken,
+  verifySuperAdmin,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { invite } = req.params;
+    const args = { invite };
+    const response = await invitesController.revokeInvite(args);
+    res.json(response);
+  })
+);
+
+router
+  .route("/signing-keys")
+  .all(
+    auditEvent(SIGNING_KEY_ROTATION),
+    verifyToken,
+    verifySuperAdmin,
+    blockImpersonation
+  )
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { algorithm } = req.body;
+      const args = { algorithm };
+      const response = await signingKeysController.rotateSigningKey(args);
+      res.json(response);
+    })
+  )
+  .get(
+    exceptionHandler(async (_req, res) => {
+      const response = await signingKeysController.getSigningKeys();
+      res.json(response);
+    })
+  );
+
+router.get(
+  "/audit-events",
+  verifyToken,
+  requirePermission(AUDIT_READ),
+  exceptionHandler(async (req, res) => {
+    const { page, limit, event, outcome, actor, target, ip, from, to } =
+      req.query;
+    const args = {
+      event,
+      outcome,
+      actor,
+      target,
+      ip,
+      from,
+      to,
+      limit: Number(limit),
+      page: Number(page),
+    };
+    const response = await auditEventsController.getAuditEvents(args);
+    res.json(response);
+  })
+);
+
 export default router;
@@ -3,13 +3,24 @@ import express from "express";
 
 // file imports
 import * as authController from "../controllers/auth.js";
-import * as usersController from "../controllers/users.js";
-import { USER_TYPES } from "../configs/enums.js";
+import CookieManager from "../utils/cookie-manager.js";
+import {
+  USER_TYPES,
+  SOCIAL_PROVIDERS,
+  OTP_PURPOSES,
+} from "../configs/enums.js";
 import { exceptionHandler } from "../middlewares/exception-handler.js";
-import { verifyOTP, verifyToken } from "../middlewares/authenticator.js";
+import {
+  verifyOTP,
+  verifyToken,
+  verifyUser,
+  blockImpersonation,
+} from "../middlewares/authenticator.js";
 
 // destructuring assignments
-const { ADMIN } = USER_TYPES;
+const { CUSTOMER, ADMIN, MULTI } = USER_TYPES;
+const { GOOGLE, FACEBOOK, TWITTER } = SOCIAL_PROVIDERS;
+const { LOGIN } = OTP_PURPOSES;
 const { SECRET } = process.env;
 
 // variable initializations
@@ -18,10 +29,28 @@ const router = express.Router();
 router.post(
   "/register",
   exceptionHandler(async (req, res) => {
-    const { email, password, name, type } = req.body;
-    const args = { email, password, name, type };
+    const {
+      email,
+      password,
+      name,
+      type = CUSTOMER,
+      device,
+      isCookieMode,
+    } = req.body;
+    // admins only join by invite or from an admin
+    if (type === CUSTOMER || type === MULTI);
+    else throw new Error("Please enter valid type!|||400");
+    const args = {
+      email,
+      password,
+      name,
+      type,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
     const response = await authController.register(args);
-    res.json({ token: response });
+    sendTokens({ res, response, isCookieMode });
   })
 );
 
@@ -29,10 +58,150 @@ router.post(
   "/login",
   exceptionHandler(async (req, res) => {
     const { type } = req.query;
-    const { email, password } = req.body;
-    const args = { email, password, type };
+    const { email, password, device, isCookieMode } = req.body;
+    const args = {
+      email,
+      password,
+      type,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
     const response = await authController.login(args);
-    res.json({ token: response });
+    sendTokens({ res, response, isCookieMode });
+  })
+);
+
+router.post(
+  "/login/two-factor",
+  exceptionHandler(async (req, res) => {
+    const { twoFactorToken, code, isCookieMode } = req.body;
+    const args = {
+      twoFactorToken,
+      code,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const response = await authController.loginTwoFactor(args);
+    sendTokens({ res, response, isCookieMode });
+  })
+);
+
+router.post(
+  "/login/password",
+  exceptionHandler(async (req, res) => {
+    const { passwordChangeToken, password, isCookieMode } = req.body;
+    const args = {
+      passwordChangeToken,
+      password,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const response = await authController.loginPasswordChange(args);
+    sendTokens({ res, response, isCookieMode });
+  })
+);
+
+router.post(
+  "/login/report",
+  exceptionHandler(async (req, res) => {
+    const { user, token } = req.body;
+    const args = {
+      user,
+      token,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    await authController.reportLogin(args);
+    res.json({
+      message:
+        "Logged out of all devices, password reset link sent to your email address!",
+    });
+  })
+);
+
+router.post(
+  "/unlock",
+  exceptionHandler(async (req, res) => {
+    const { user, token } = req.body;
+    const args = { user, token };
+    await authController.unlockAccount(args);
+    res.json({ message: "Account unlocked successfully!" });
+  })
+);
+
+router.post(
+  "/refresh",
+  exceptionHandler(async (req, res) => {
+    // cookie mode clients send refresh token cookie instead
+    const isCookieMode = !req.body.refreshToken;
+    const refreshToken =
+      req.body.refreshToken ?? req.signedCookies?.refreshToken;
+    const args = { refreshToken };
+    const response = await authController.refreshTokens(args);
+    sendTokens({ res, response, isCookieMode });
+  })
+);
+
+router.post(
+  "/logout",
+  verifyToken,
+  verifyUser,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const { _id: session } = req?.session;
+    const args = {
+      user,
+      session,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    await authController.logout(args);
+    new CookieManager().clearAuthCookies({ res });
+    res.json({ message: "Logged out successfully!" });
+  })
+);
+
+router.post(
+  "/logout/all",
+  verifyToken,
+  verifyUser,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const args = {
+      user,
+      isAllDevices: true,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    await authController.logout(args);
+    new CookieManager().clearAuthCookies({ res });
+    res.json({ message: "Logged out of all devices successfully!" });
+  })
+);
+
+router.post(
+  "/profile",
+  verifyToken,
+  verifyUser,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const { _id: session } = req?.session;
+    const { profile } = req.body;
+    const args = { user, session, profile };
+    const response = await authController.switchProfile(args);
+    const isCookieMode = new CookieManager().hasAuthCookies({ req });
+    sendTokens({ res, response, isCookieMode });
+  })
+);
+
+router.get(
+  "/csrf",
+  exceptionHandler(async (req, res) => {
+    res.json({ csrfToken: req.signedCookies?.csrfToken ?? null });
   })
 );
 
@@ -41,7 +210,7 @@ router
   .post(
     exceptionHandler(async (req, res) => {
       const { email } = req.body;
-      const args = { email };
+      const args = { email, ip: req.ip, userAgent: req.headers["user-agent"] };
       await authController.emailResetPassword(args);
       res.json({ message: "Password reset link sent to your email address!" });
     })
@@ -49,7 +218,13 @@ router
   .put(
     exceptionHandler(async (req, res) => {
       const { password, user, token } = req.body;
-      const args = { password, user, token };
+      const args = {
+        password,
+        user,
+        token,
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
+      };
       await authController.resetPassword(args);
       res.json({ message: "Password reset successfully!" });
     })
@@ -58,71 +233,184 @@ router
 router.post(
   "/login/phone",
   verifyToken,
-  verifyOTP,
+  verifyOTP(LOGIN),
   exceptionHandler(async (req, res) => {
-    const { phone } = req?.user;
-    const args = { phone };
-    const response = await usersController.getUser(args);
-    res.json({ token: response.getSignedjwtToken() });
+    const { phone, email } = req?.user;
+    const { type } = req.query;
+    const { device, isCookieMode } = req.body;
+    const args = {
+      phone,
+      email,
+      type,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const response = await authController.otpLogin(args);
+    sendTokens({ res, response, isCookieMode });
   })
 );
 
+router
+  .route("/login/magic-link")
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { email } = req.body;
+      const args = { email };
+      const response = await authController.emailMagicLink(args);
+      res.json(response);
+    })
+  )
+  .put(
+    exceptionHandler(async (req, res) => {
+      const { user, token, browserToken, code, device, isCookieMode } =
+        req.body;
+      const args = {
+        user,
+        token,
+        browserToken,
+        code,
+        device,
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
+      };
+      const response = await authController.magicLinkLogin(args);
+      sendTokens({ res, response, isCookieMode });
+    })
+  );
+
 router.post(
   "/login/google",
   exceptionHandler(async (req, res) => {
-    const { googleId } = req.body;
-    const args = { googleId };
-    const response = await usersController.getUser(args);
-    res.json({ token: response.getSignedjwtToken() });
+    const { type } = req.query;
+    const { token, email, device, isCookieMode } = req.body;
+    const args = {
+      provider: GOOGLE,
+      token,
+      email,
+      type,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const response = await authController.socialLogin(args);
+    sendTokens({ res, response, isCookieMode });
   })
 );
 
 router.post(
   "/login/facebook",
   exceptionHandler(async (req, res) => {
-    const { facebookId } = req.body;
-    const args = { facebookId };
-    const response = await usersController.getUser(args);
-    res.json({ token: response.getSignedjwtToken() });
+    const { type } = req.query;
+    const { token, email, device, isCookieMode } = req.body;
+    const args = {
+      provider: FACEBOOK,
+      token,
+      email,
+      type,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const response = await authController.socialLogin(args);
+    sendTokens({ res, response, isCookieMode });
   })
 );
 
 router.post(
   "/login/twitter",
   exceptionHandler(async (req, res) => {
-    const { twitterId } = req.body;
-    const args = { twitterId };
-    const response = await usersController.getUser(args);
-    res.json({ token: response.getSignedjwtToken() });
+    const { type } = req.query;
+    const { token, codeVerifier, redirectURI, email, device, isCookieMode } =
+      req.body;
+    const args = {
+      provider: TWITTER,
+      token,
+      codeVerifier,
+      redirectURI,
+      email,
+      type,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const response = await authController.socialLogin(args);
+    sendTokens({ res, response, isCookieMode });
   })
 );
 
 router.post(
   "/login/admin",
   exceptionHandler(async (req, res) => {
-    const { email, password } = req.body;
-    const args = { email, password, type: ADMIN };
+    const { email, password, device, isCookieMode } = req.body;
+    const args = {
+      email,
+      password,
+      type: ADMIN,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
     const response = await authController.login(args);
-    res.json({ token: response });
+    sendTokens({ res, response, isCookieMode });
   })
 );
 
 router.post(
   "/register/admin",
   exceptionHandler(async (req, res) => {
+    // shared secret only bootstraps the first super admin
     const { secret } = req.headers;
-    const { email, password, type } = req.body;
+    const { email, password, device, isCookieMode } = req.body;
     const args = {
       email,
       password,
-      type: type ?? ADMIN,
-      name: type,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
     };
-    if (secret === SECRET);
+    if (SECRET && secret === SECRET);
     else throw new Error("Invalid SECRET!|||400");
     const response = await authController.addAdmin(args);
-    res.json({ token: response });
+    sendTokens({ res, response, isCookieMode });
+  })
+);
+
+router.post(
+  "/invites",
+  exceptionHandler(async (req, res) => {
+    const { token, password, device, isCookieMode } = req.body;
+    const args = {
+      token,
+      password,
+      device,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const response = await authController.acceptInvite(args);
+    sendTokens({ res, response, isCookieMode });
   })
 );
 
+/**
+ * @description Send tokens as HttpOnly cookies in cookie mode, in response
+ * body otherwise
+ * @param {Object} res express response
+ * @param {Object} response login response
+ * @param {Boolean} isCookieMode cookie mode check
+ * @returns {null} null
+ */
+const sendTokens = (params) => {
+  const { res, response, isCookieMode } = params;
+  if (isCookieMode && response.token) {
+    const { token, refreshToken, ...data } = response;
+    const csrfToken = new CookieManager().setAuthCookies({
+      res,
+      token,
+      refreshToken,
+    });
+    res.json({ ...data, csrfToken });
+  } else res.json(response);
+};
+
 export default router;
@@ -0,0 +1,107 @@
+// module imports
+import express from "express";
+
+// file imports
+import * as geofencesController from "../controllers/geofences.js";
+import { PERMISSIONS, AUDIT_EVENTS } from "../configs/enums.js";
+import { auditEvent } from "../middlewares/auditor.js";
+import { exceptionHandler } from "../middlewares/exception-handler.js";
+import {
+  verifyToken,
+  requirePermission,
+} from "../middlewares/authenticator.js";
+
+// destructuring assignments
+const { GEOFENCES_MANAGE } = PERMISSIONS;
+const { GEOFENCE_CHANGE } = AUDIT_EVENTS;
+
+// variable initializations
+const router = express.Router();
+
+router.get(
+  "/events",
+  verifyToken,
+  requirePermission(GEOFENCES_MANAGE),
+  exceptionHandler(async (req, res) => {
+    const { user, geofence, transition, page, limit } = req.query;
+    const args = {
+      user,
+      geofence,
+      transition,
+      limit: Number(limit),
+      page: Number(page),
+    };
+    const response = await geofencesController.getGeofenceEvents(args);
+    res.json(response);
+  })
+);
+
+router
+  .route("/")
+  .all(
+    auditEvent(GEOFENCE_CHANGE),
+    verifyToken,
+    requirePermission(GEOFENCES_MANAGE)
+  )
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { name, description, area, isActive } = req.body;
+      const args = {
+        name,
+        description,
+        area,
+        isActive,
+        createdBy: req.user?._id,
+      };
+      const response = await geofencesController.addGeofence(args);
+      res.json(response);
+    })
+  )
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { page, limit, keyword, isActive } = req.query;
+      const args = {
+        keyword,
+        isActive: isActive ? isActive === "true" : undefined,
+        limit: Number(limit),
+        page: Number(page),
+      };
+      const response = await geofencesController.getGeofences(args);
+      res.json(response);
+    })
+  );
+
+router
+  .route("/:geofence")
+  .all(
+    auditEvent(GEOFENCE_CHANGE),
+    verifyToken,
+    requirePermission(GEOFENCES_MANAGE)
+  )
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { geofence } = req.params;
+      const args = { geofence };
+      const response = await geofencesController.getGeofence(args);
+      res.json(response);
+    })
+  )
+  .put(
+    exceptionHandler(async (req, res) => {
+      const { geofence } = req.params;
+      const { name, description, area, isActive } = req.body;
+      const args = { geofence, name, description, area, isActive };
+      const response = await geofencesController.updateGeofence(args);
+      res.json(response);
+    })
+  )
+  .delete(
+    exceptionHandler(async (req, res) => {
+      const { geofence } = req.params;
+      const args = { geofence };
+      const response = await geofencesController.deleteGeofence(args);
+      res.json(response);
+    })
+  );
+
+export default router;
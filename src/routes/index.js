@@ -4,7 +4,9 @@ import express from "express";
 // file imports
 import admins from "./admins.js";
 import auth from "./auth.js";
+import geofences from "./geofences.js";
 import messages from "./messages.js";
+import roles from "./roles.js";
 import users from "./users.js";
 
 // destructuring assignments
@@ -15,7 +17,9 @@ const router = express.Router();
 
 router.use("/admins", admins);
 router.use("/auth", auth);
+router.use("/geofences", geofences);
 router.use("/messages", messages);
+router.use("/roles", roles);
 router.use("/users", users);
 
 router.use("/docs", (_req, res) => res.redirect(POSTMAN_URL));
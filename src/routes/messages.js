@@ -3,7 +3,11 @@ import express from "express";
 
 // file imports
 import * as messagesController from "../controllers/messages.js";
-import { verifyToken, verifyUser } from "../middlewares/authenticator.js";
+import {
+  verifyToken,
+  verifyUser,
+  checkEmailVerified,
+} from "../middlewares/authenticator.js";
 import { exceptionHandler } from "../middlewares/exception-handler.js";
 import { upload } from "../middlewares/uploader.js";
 import directories from "../configs/directories.js";
@@ -16,7 +20,7 @@ const router = express.Router();
 
 router
   .route("/")
-  .all(verifyToken, verifyUser)
+  .all(verifyToken, verifyUser, checkEmailVerified)
   .post(
     upload(ATTACHMENTS_DIRECTORY).array("attachments", 8),
     exceptionHandler(async (req, res) => {
@@ -74,6 +78,7 @@ router.get(
   "/conversations",
   verifyToken,
   verifyUser,
+  checkEmailVerified,
   exceptionHandler(async (req, res) => {
     const { _id: user } = req?.user;
     const { limit, page, keyword } = req.query;
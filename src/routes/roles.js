@@ -0,0 +1,75 @@
+// module imports
+import express from "express";
+
+// file imports
+import * as rolesController from "../controllers/roles.js";
+import { PERMISSIONS, AUDIT_EVENTS } from "../configs/enums.js";
+import { auditEvent } from "../middlewares/auditor.js";
+import { exceptionHandler } from "../middlewares/exception-handler.js";
+import { verifyToken, verifySuperAdmin } from "../middlewares/authenticator.js";
+
+// destructuring assignments
+const { ROLE_CHANGE } = AUDIT_EVENTS;
+
+// variable initializations
+const router = express.Router();
+
+router.get(
+  "/permissions",
+  verifyToken,
+  verifySuperAdmin,
+  exceptionHandler(async (req, res) => {
+    res.json({ data: Object.values(PERMISSIONS) });
+  })
+);
+
+router
+  .route("/")
+  .all(auditEvent(ROLE_CHANGE), verifyToken, verifySuperAdmin)
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { name, description, permissions } = req.body;
+      const args = { name, description, permissions };
+      const response = await rolesController.addRole(args);
+      res.json(response);
+    })
+  )
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { page, limit, keyword } = req.query;
+      const args = { keyword, limit: Number(limit), page: Number(page) };
+      const response = await rolesController.getRoles(args);
+      res.json(response);
+    })
+  );
+
+router
+  .route("/:role")
+  .all(auditEvent(ROLE_CHANGE), verifyToken, verifySuperAdmin)
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { role } = req.params;
+      const args = { role };
+      const response = await rolesController.getRole(args);
+      res.json(response);
+    })
+  )
+  .put(
+    exceptionHandler(async (req, res) => {
+      const { role } = req.params;
+      const { name, description, permissions } = req.body;
+      const args = { role, name, description, permissions };
+      const response = await rolesController.updateRole(args);
+      res.json(response);
+    })
+  )
+  .delete(
+    exceptionHandler(async (req, res) => {
+      const { role } = req.params;
+      const args = { role };
+      const response = await rolesController.deleteRole(args);
+      res.json(response);
+    })
+  );
+
+export default router;
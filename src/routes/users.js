@@ -4,46 +4,71 @@ import express from "express";
 // file imports
 import * as authController from "../controllers/auth.js";
 import * as notificationsController from "../controllers/notifications.js";
+import * as sessionsController from "../controllers/sessions.js";
+import * as twoFactorController from "../controllers/two-factor.js";
 import * as usersController from "../controllers/users.js";
-import TwilioManager from "../utils/twilio-manager.js";
+import * as otpsController from "../controllers/otps.js";
+import * as rolesController from "../controllers/roles.js";
+import * as auditEventsController from "../controllers/audit-events.js";
+import * as locationsController from "../controllers/locations.js";
 import directories from "../configs/directories.js";
+import { OTP_PURPOSES, PERMISSIONS, AUDIT_EVENTS } from "../configs/enums.js";
 import { upload } from "../middlewares/uploader.js";
+import { auditEvent } from "../middlewares/auditor.js";
 import { exceptionHandler } from "../middlewares/exception-handler.js";
 import {
   verifyOTP,
   verifyToken,
   verifyUser,
-  verifyAdmin,
+  verifySuperAdmin,
   verifyUserToken,
+  requirePermission,
+  blockImpersonation,
 } from "../middlewares/authenticator.js";
 
 // destructuring assignments
 const { IMAGES_DIRECTORY } = directories;
+const { LOGIN, PHONE_CHANGE, SENSITIVE_ACTION } = OTP_PURPOSES;
+const { USERS_CREATE, USERS_READ, USERS_UPDATE, USERS_DELETE } = PERMISSIONS;
+const {
+  PASSWORD_CHANGE,
+  PASSWORD_CHANGE_REQUIREMENT,
+  ROLE_ASSIGNMENT,
+  USER_DELETION,
+} = AUDIT_EVENTS;
 
 // variable initializations
 const router = express.Router();
 
 router
   .route("/")
-  .all(verifyToken, verifyAdmin)
   .post(
+    verifyToken,
+    requirePermission(USERS_CREATE),
     exceptionHandler(async (req, res) => {
       const { email, password, phone, type } = req.body;
       const args = { email, password, phone, type };
       const response = await authController.register(args);
-      res.json({ token: response });
+      res.json(response);
     })
   )
   .put(
+    verifyToken,
+    requirePermission(USERS_UPDATE),
     upload(IMAGES_DIRECTORY).single("image"),
     exceptionHandler(async (req, res) => {
       const image = req.file || {};
-      const { _id: user } = req?.user;
-      const { firstName, lastName } = req.body;
+      const { _id: user } = req?.user ?? {};
+      const { firstName, lastName, isLocationShared } = req.body;
       const args = {
         user,
         firstName,
         lastName,
+        // multipart form fields arrive as strings
+        isLocationShared:
+          typeof isLocationShared === "string"
+            ? isLocationShared === "true"
+            : isLocationShared,
         //   image: image?.key,
         image: image?.filename,
       };
@@ -52,15 +77,56 @@ router
     })
   )
   .get(
+    verifyToken,
+    requirePermission(USERS_READ),
     exceptionHandler(async (req, res) => {
-      const { _id: user } = req?.user;
-      const { page, limit, keyword } = req.query;
-      const args = { user, keyword, limit: Number(limit), page: Number(page) };
+      const { _id: user } = req?.user ?? {};
+      const {
+        page,
+        limit,
+        keyword,
+        type,
+        status,
+        isOnline,
+        isEmailVerified,
+        hasPhone,
+        createdFrom,
+        createdTo,
+        lastLoginFrom,
+        lastLoginTo,
+        sort,
+        cursor,
+        count,
+      } = req.query;
+      const args = {
+        user,
+        keyword,
+        type,
+        status,
+        isOnline: isOnline ? isOnline === "true" : undefined,
+        isEmailVerified: isEmailVerified
+          ? isEmailVerified === "true"
+          : undefined,
+        hasPhone: hasPhone ? hasPhone === "true" : undefined,
+        createdFrom,
+        createdTo,
+        lastLoginFrom,
+        lastLoginTo,
+        sort,
+        cursor,
+        isCountRequired: count ? count === "true" : undefined,
+        limit: Number(limit),
+        page: Number(page),
+      };
       const response = await usersController.getUsers(args);
       res.json(response);
     })
   )
   .delete(
+    auditEvent(USER_DELETION),
+    verifyToken,
+    requirePermission(USERS_DELETE),
+    blockImpersonation,
     exceptionHandler(async (req, res) => {
       const { user } = req.query;
       const args = { user };
@@ -72,52 +138,230 @@ router
 router.put(
   "/phone",
   verifyToken,
-  verifyOTP,
+  blockImpersonation,
+  verifyOTP(PHONE_CHANGE),
   verifyUserToken,
   exceptionHandler(async (req, res) => {
     const { _id: user, phone } = req?.user;
     const args = { user, phone };
-    const response = await usersController.updateUser(args);
+    const response = await usersController.updateUserPhone(args);
     res.json(response);
   })
 );
+router.put(
+  "/profile",
+  verifyToken,
+  verifyUser,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const { firstName, lastName, email } = req.body;
+    const args = { user, firstName, lastName, email };
+    const response = await usersController.completeProfile(args);
+    if (email)
+      try {
+        await authController.emailVerifyEmail({ email: response.email });
+      } catch (error) {
+        console.log("Email verification error", error);
+      }
+    res.json(response);
+  })
+);
+
 router.put(
   "/password",
+  auditEvent(PASSWORD_CHANGE),
   verifyToken,
   verifyUser,
+  blockImpersonation,
   exceptionHandler(async (req, res) => {
-    const { _id: user, email, type } = req?.user;
+    const { _id: user } = req?.user;
     const { password, newPassword } = req.body;
-    const args = { password, newPassword, email, user, type };
-    await authController.login(args);
-    args.password = args.newPassword;
+    if (await req.user.validatePassword(password ?? ""));
+    else throw new Error("Invalid password!|||401");
+    const args = { user, password: newPassword };
     const response = await usersController.updateUser(args);
     res.json(response);
   })
 );
 
+router.put(
+  "/social",
+  verifyToken,
+  verifyUser,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const { provider, token, codeVerifier, redirectURI } = req.body;
+    const args = { user, provider, token, codeVerifier, redirectURI };
+    const response = await authController.linkSocialAccount(args);
+    res.json(response);
+  })
+);
+
+router
+  .route("/two-factor")
+  .all(verifyToken, verifyUser, blockImpersonation)
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const args = { user };
+      const response = await twoFactorController.setupTwoFactor(args);
+      res.json(response);
+    })
+  )
+  .put(
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const { code } = req.body;
+      const args = { user, code };
+      const response = await twoFactorController.confirmTwoFactor(args);
+      res.json(response);
+    })
+  )
+  .delete(
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const { code } = req.body;
+      const args = { user, code };
+      await twoFactorController.disableTwoFactor(args);
+      res.json({ message: "Two-factor authentication disabled!" });
+    })
+  );
+
+router.put(
+  "/email",
+  verifyToken,
+  verifyUser,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const { email, password } = req.body;
+    const args = {
+      user,
+      email,
+      password,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    await authController.emailChangeEmail(args);
+    res.json({
+      message: "Confirmation link sent to your new email address!",
+    });
+  })
+);
+
+router.post(
+  "/email/confirm",
+  exceptionHandler(async (req, res) => {
+    const { user, token } = req.body;
+    const args = {
+      user,
+      token,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    await authController.changeEmail(args);
+    res.json({ message: "Email changed successfully!" });
+  })
+);
+
+router.post(
+  "/email/cancel",
+  exceptionHandler(async (req, res) => {
+    const { user, token } = req.body;
+    const args = { user, token };
+    await authController.cancelEmailChange(args);
+    res.json({ message: "Email change cancelled successfully!" });
+  })
+);
+
+router
+  .route("/emails")
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { user, token } = req.query;
+      const args = { user, token };
+      await authController.verifyUserEmail(args);
+      res.json({ message: "Email verified successfully!" });
+    })
+  )
+  .post(
+    exceptionHandler(async (req, res) => {
+      const { email } = req.body;
+      const args = { email };
+      await authController.emailVerifyEmail(args);
+      res.json({ message: "Verification link sent to your email address!" });
+    })
+  );
+
 router
   .route("/otp")
   .post(
     verifyToken,
     verifyUser,
+    // OTP tokens do not carry the impersonator, so they are never minted
+    blockImpersonation,
     exceptionHandler(async (req, res) => {
       const { _id: user } = req?.user;
-      const { phone } = req.body;
-      const args = { user, phone };
-      const response = await new TwilioManager().sendOTP(args);
+      const { phone, purpose, channel } = req.body;
+      const args = {
+        user,
+        phone,
+        purpose: purpose ?? PHONE_CHANGE,
+        channel,
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
+      };
+      const response = await otpsController.sendOTP(args);
       res.json({ token: response });
     })
   )
   .put(
     exceptionHandler(async (req, res) => {
-      const { phone } = req.body;
-      const args = { phone };
-      const response = await new TwilioManager().sendOTP(args);
+      const { phone, email, channel } = req.body;
+      const args = {
+        phone,
+        email,
+        purpose: LOGIN,
+        channel,
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
+      };
+      const response = await otpsController.sendOTP(args);
       res.json({ token: response });
     })
   );
 
+router
+  .route("/sessions")
+  .all(verifyToken, verifyUser)
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const { _id: session } = req?.session;
+      const { page, limit } = req.query;
+      const args = {
+        user,
+        session,
+        limit: Number(limit),
+        page: Number(page),
+      };
+      const response = await sessionsController.getSessions(args);
+      res.json(response);
+    })
+  )
+  .delete(
+    blockImpersonation,
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const { session } = req.query;
+      const args = { user, session };
+      await sessionsController.revokeSession(args);
+      res.json({ message: "Session revoked successfully!" });
+    })
+  );
+
 router
   .route("/notifications")
   .all(verifyToken, verifyUser)
@@ -139,19 +383,234 @@ router
     })
   );
 
+router
+  .route("/me")
+  .all(verifyToken, verifyUser)
+  .get(
+    exceptionHandler(async (req, res) => {
+      res.json({ data: req?.user });
+    })
+  )
+  .put(
+    upload(IMAGES_DIRECTORY).single("image"),
+    exceptionHandler(async (req, res) => {
+      const image = req.file || {};
+      const { _id: user } = req?.user;
+      const { firstName, lastName, isLocationShared } = req.body;
+      const args = {
+        user,
+        firstName,
+        lastName,
+        // multipart form fields arrive as strings
+        isLocationShared:
+          typeof isLocationShared === "string"
+            ? isLocationShared === "true"
+            : isLocationShared,
+        image: image?.filename,
+      };
+      const response = await usersController.updateUser(args);
+      res.json(response);
+    })
+  )
+  .delete(
+    blockImpersonation,
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const { password } = req.body;
+      const args = { user, password };
+      const response = await usersController.deleteAccount(args);
+      res.json({
+        message: "Account scheduled for deletion, login to restore it!",
+        purgeAt: response.purgeAt,
+      });
+    })
+  );
+
+router.delete(
+  "/me/otp",
+  verifyToken,
+  verifyOTP(SENSITIVE_ACTION),
+  verifyUserToken,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const args = { user, isOTPVerified: true };
+    const response = await usersController.deleteAccount(args);
+    res.json({
+      message: "Account scheduled for deletion, login to restore it!",
+      purgeAt: response.purgeAt,
+    });
+  })
+);
+
+router.get(
+  "/me/export",
+  verifyToken,
+  verifyUser,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const { format } = req.query;
+    const args = { user, format };
+    const response = await usersController.exportUserData(args);
+    if (format === "zip") {
+      res.attachment("data.zip");
+      response.on("error", (error) => res.destroy(error));
+      response.pipe(res);
+    } else {
+      res.attachment("data.json");
+      res.json(response);
+    }
+  })
+);
+
+router.get(
+  "/nearby",
+  verifyToken,
+  verifyUser,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const {
+      page,
+      limit,
+      longitude,
+      latitude,
+      maxDistance,
+      minDistance,
+      type,
+      isOnline,
+    } = req.query;
+    const args = {
+      user,
+      longitude: Number(longitude),
+      latitude: Number(latitude),
+      maxDistance: maxDistance ? Number(maxDistance) : undefined,
+      minDistance: minDistance ? Number(minDistance) : undefined,
+      type,
+      isOnline: isOnline ? isOnline === "true" : undefined,
+      limit: Number(limit),
+      page: Number(page),
+    };
+    const response = await usersController.getNearbyUsers(args);
+    res.json(response);
+  })
+);
+
+router.get(
+  "/me/security-activity",
+  verifyToken,
+  verifyUser,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const { limit } = req.query;
+    const args = { user, limit: Number(limit) };
+    const response = await auditEventsController.getSecurityActivity(args);
+    res.json(response);
+  })
+);
+
+router
+  .route("/me/location-shares")
+  .all(verifyToken, verifyUser)
+  .get(
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const args = { user };
+      const response = await locationsController.getLocationShares(args);
+      res.json(response);
+    })
+  )
+  .post(
+    blockImpersonation,
+    exceptionHandler(async (req, res) => {
+      const { _id: user } = req?.user;
+      const { viewer, minutes } = req.body;
+      const args = { user, viewer, minutes: Number(minutes) };
+      const response = await locationsController.shareLocation(args);
+      res.json(response);
+    })
+  );
+
+router.delete(
+  "/me/location-shares/:viewer",
+  verifyToken,
+  verifyUser,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { _id: user } = req?.user;
+    const { viewer } = req.params;
+    const args = { user, viewer };
+    await locationsController.stopLocationShare(args);
+    res.json({ message: "Location share stopped successfully!" });
+  })
+);
+
 router.get(
-  "/me",
+  "/:user/locations",
   verifyToken,
   verifyUser,
   exceptionHandler(async (req, res) => {
-    res.json({ data: req?.user });
+    const { _id: viewer } = req?.user;
+    const { user } = req.params;
+    const { from, to, page, limit } = req.query;
+    const args = {
+      user,
+      viewer,
+      from,
+      to,
+      limit: Number(limit),
+      page: Number(page),
+    };
+    const response = await locationsController.getLocations(args);
+    res.json(response);
+  })
+);
+
+router.put(
+  "/:user/roles",
+  auditEvent(ROLE_ASSIGNMENT),
+  verifyToken,
+  verifySuperAdmin,
+  exceptionHandler(async (req, res) => {
+    const { user } = req.params;
+    const { roles } = req.body;
+    const args = { user, roles };
+    const response = await rolesController.assignRoles(args);
+    res.json(response);
+  })
+);
+
+router.put(
+  "/:user/password",
+  auditEvent(PASSWORD_CHANGE_REQUIREMENT),
+  verifyToken,
+  requirePermission(USERS_UPDATE),
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { user } = req.params;
+    const { isPasswordChangeRequired } = req.body;
+    const args = { user, isPasswordChangeRequired };
+    const response = await usersController.requirePasswordChange(args);
+    res.json(response);
+  })
+);
+
+router.post(
+  "/:user/profiles",
+  verifyToken,
+  verifySuperAdmin,
+  blockImpersonation,
+  exceptionHandler(async (req, res) => {
+    const { user } = req.params;
+    const { profile } = req.body;
+    const args = { user, profile };
+    const response = await usersController.addProfile(args);
+    res.json(response);
   })
 );
 
 router.get(
   "/:user",
   verifyToken,
-  verifyAdmin,
+  requirePermission(USERS_READ),
   exceptionHandler(async (req, res) => {
     const { user } = req.params;
     const args = { user };
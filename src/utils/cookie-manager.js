@@ -0,0 +1,93 @@
+// module imports
+import crypto from "crypto";
+
+// file imports
+import { ENVIRONMENTS } from "../configs/enums.js";
+
+// destructuring assignments
+const { NODE_ENV, COOKIE_SAME_SITE, REFRESH_TOKEN_EXPIRY_DAYS } = process.env;
+const { PRODUCTION } = ENVIRONMENTS;
+
+// variable initializations
+const sameSite = COOKIE_SAME_SITE || "strict";
+const cookieOptions = {
+  httpOnly: true,
+  // cross-site cookies are only accepted by browsers over https
+  secure: NODE_ENV === PRODUCTION || sameSite === "none",
+  sameSite,
+  signed: true,
+};
+// refresh token is only ever sent to auth routes
+const refreshTokenCookieOptions = { ...cookieOptions, path: "/api/v1/auth" };
+
+class CookieManager {
+  constructor() {
+    this.cookieOptions = cookieOptions;
+  }
+
+  /**
+   * @description Set access token, refresh token and CSRF token cookies
+   * @param {Object} res express response
+   * @param {String} token access token
+   * @param {String} refreshToken refresh token
+   * @returns {String} CSRF token to be sent in x-csrf-token header
+   */
+  setAuthCookies(params) {
+    const { res, token, refreshToken } = params;
+    const maxAge =
+      Number(REFRESH_TOKEN_EXPIRY_DAYS || 30) * 24 * 60 * 60 * 1000;
+    const csrfToken = crypto.randomBytes(32).toString("hex");
+    res.cookie("jwt", token, cookieOptions);
+    res.cookie("refreshToken", refreshToken, {
+      ...refreshTokenCookieOptions,
+      maxAge,
+    });
+    res.cookie("csrfToken", csrfToken, { ...cookieOptions, maxAge });
+    return csrfToken;
+  }
+
+  /**
+   * @description Clear auth cookies
+   * @param {Object} res express response
+   * @returns {null} null
+   */
+  clearAuthCookies(params) {
+    const { res } = params;
+    res.clearCookie("jwt", cookieOptions);
+    res.clearCookie("refreshToken", refreshTokenCookieOptions);
+    res.clearCookie("csrfToken", cookieOptions);
+  }
+
+  /**
+   * @description Check if request is authenticated by cookies instead of
+   * authorization header
+   * @param {Object} req express request
+   * @returns {Boolean} cookie authentication check
+   */
+  hasAuthCookies(params) {
+    const { req } = params;
+    if (req.headers.authorization) return false;
+    return !!(req.signedCookies?.jwt || req.signedCookies?.refreshToken);
+  }
+
+  /**
+   * @description Check CSRF token header against CSRF token cookie
+   * @param {Object} req express request
+   * @returns {Boolean} CSRF token validity check
+   */
+  validateCSRFToken(params) {
+    const { req } = params;
+    const cookieToken = req.signedCookies?.csrfToken;
+    const headerToken = req.headers["x-csrf-token"];
+    if (typeof cookieToken === "string" && typeof headerToken === "string");
+    else return false;
+    const cookieBuffer = Buffer.from(cookieToken);
+    const headerBuffer = Buffer.from(headerToken);
+    return (
+      cookieBuffer.length === headerBuffer.length &&
+      crypto.timingSafeEqual(cookieBuffer, headerBuffer)
+    );
+  }
+}
+
+export default CookieManager;
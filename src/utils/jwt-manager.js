@@ -0,0 +1,98 @@
+// module imports
+import jwt from "jsonwebtoken";
+
+// destructuring assignments
+const { JWT_SECRET, JWT_EXPIRY, JWT_KEY_PASSPHRASE, JWT_LEGACY_ACCEPT_UNTIL } =
+  process.env;
+
+// variable initializations
+// shared by all instances of this process, refreshed from the database
+let keyRing = [];
+
+class JWTManager {
+  constructor() {
+    this.jwt = jwt;
+  }
+
+  /**
+   * @description Replace key ring used for signing and verification
+   * @param {[Object]} keys array of signing keys with private keys
+   * @returns {null} null
+   */
+  setKeys(params) {
+    const { keys } = params;
+    keyRing = keys;
+  }
+
+  /**
+   * @description Get key ring
+   * @returns {[Object]} array of signing keys
+   */
+  getKeys() {
+    return keyRing;
+  }
+
+  /**
+   * @description Get key currently used for signing
+   * @returns {Object} signing key, null if key ring has no active key
+   */
+  getActiveKey() {
+    const now = new Date();
+    return keyRing
+      .filter((key) => key.activatedAt <= now)
+      .reduce(
+        (active, key) =>
+          !active || key.activatedAt > active.activatedAt ? key : active,
+        null
+      );
+  }
+
+  /**
+   * @description Sign JWT with active asymmetric key, falling back to
+   * JWT_SECRET until a key has been generated
+   * @param {Object} payload token payload
+   * @param {String | Number} expiresIn token lifetime
+   * @returns {String} JWT token
+   */
+  sign(params) {
+    const { payload, expiresIn } = params;
+    const options = { expiresIn: expiresIn ?? (JWT_EXPIRY || "15m") };
+    const key = this.getActiveKey();
+    if (key)
+      return jwt.sign(
+        payload,
+        { key: key.privateKey, passphrase: JWT_KEY_PASSPHRASE },
+        { ...options, algorithm: key.algorithm, keyid: key.kid }
+      );
+    return jwt.sign(payload, JWT_SECRET, options);
+  }
+
+  /**
+   * @description Verify JWT against key ring by its kid header, accepting
+   * JWT_SECRET signed tokens only until a key is active or, while migrating,
+   * until JWT_LEGACY_ACCEPT_UNTIL
+   * @param {String} token JWT token
+   * @returns {Object} token payload
+   */
+  verify(params) {
+    const { token } = params;
+    const { header } = jwt.decode(token, { complete: true }) ?? {};
+    if (header?.kid) {
+      const key = keyRing.find((element) => element.kid === header.kid);
+      if (key);
+      else throw new jwt.JsonWebTokenError("unknown key id");
+      return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+    }
+    if (
+      this.getActiveKey() &&
+      !(
+        JWT_LEGACY_ACCEPT_UNTIL &&
+        new Date() < new Date(JWT_LEGACY_ACCEPT_UNTIL)
+      )
+    )
+      throw new jwt.JsonWebTokenError("legacy token");
+    return jwt.verify(token, JWT_SECRET, { algorithms: ["HS256"] });
+  }
+}
+
+export default JWTManager;
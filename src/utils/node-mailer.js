@@ -107,6 +107,123 @@ Please note that this link will expire after 10 minutes.
 If you didn't do this, contact us here ${EMAIL_USER}`;
   }
 
+  /**
+   * @description Get account unlock email template
+   * @param {String} user user id
+   * @param {String} token user token
+   * @returns {Object} email template
+   */
+  getAccountUnlockEmailTemplate(params) {
+    const { user, token } = params;
+    const link = `${BASE_URL}unlock-account/?user=${user}&token=${token}`;
+    return `
+Your account has been temporarily locked after too many failed login attempts.
+Please click on the link below to unlock your account, 
+${link}
+Please note that this link will expire after 1 hour.
+
+If you didn't do this, please reset your password and contact us here ${EMAIL_USER}`;
+  }
+
+  /**
+   * @description Get login link email template
+   * @param {String} user user id
+   * @param {String} token user token
+   * @returns {Object} email template
+   */
+  getMagicLinkEmailTemplate(params) {
+    const { user, token } = params;
+    const link = `${BASE_URL}magic-link/?user=${user}&token=${token}`;
+    return `
+Please click on the link below to login to your account, 
+${link}
+Please note that this link will expire after 10 minutes and can only be used once.
+
+If you didn't do this, you can safely ignore this email.`;
+  }
+
+  /**
+   * @description Get admin invite email template
+   * @param {String} token invite token
+   * @param {Date} expireAt invite expiration time
+   * @returns {Object} email template
+   */
+  getAdminInviteEmailTemplate(params) {
+    const { token, expireAt } = params;
+    const link = `${BASE_URL}accept-invite/?token=${token}`;
+    return `
+You have been invited to join ${APP_TITLE} as an admin.
+Please click on the link below to set your password and activate your account, 
+${link}
+Please note that this link can only be used once and will expire on ${expireAt.toUTCString()}.
+
+If you weren't expecting this, you can safely ignore this email.`;
+  }
+
+  /**
+   * @description Get email change confirmation email template
+   * @param {String} user user id
+   * @param {String} token user token
+   * @returns {Object} email template
+   */
+  getEmailChangeEmailTemplate(params) {
+    const { user, token } = params;
+    const link = `${BASE_URL}email-change/?action=confirm&user=${user}&token=${token}`;
+    return `
+Please click on the link below to confirm this as the new email address of your account, 
+${link}
+Please note that this link will expire after 1 hour.
+
+If you didn't do this, you can safely ignore this email.`;
+  }
+
+  /**
+   * @description Get email change notice email template
+   * @param {String} user user id
+   * @param {String} token user token
+   * @param {String} email requested email address
+   * @returns {Object} email template
+   */
+  getEmailChangeNoticeEmailTemplate(params) {
+    const { user, token, email } = params;
+    const link = `${BASE_URL}email-change/?action=cancel&user=${user}&token=${token}`;
+    return `
+A request was made to change the email address of your account to ${email}.
+Your email address will not change until the request is confirmed from the new address.
+If you didn't do this, please click on the link below to cancel the request and reset your password, 
+${link}
+Please note that this link will expire after 1 hour.
+
+You can contact us here ${EMAIL_USER}`;
+  }
+
+  /**
+   * @description Get login alert email template
+   * @param {String} user user id
+   * @param {String} token user token
+   * @param {String} device device name
+   * @param {String} ip client ip address
+   * @param {String} userAgent client user agent
+   * @param {Boolean} isNewDevice new device check, unusual location otherwise
+   * @returns {Object} email template
+   */
+  getLoginAlertEmailTemplate(params) {
+    const { user, token, device, ip, userAgent, isNewDevice } = params;
+    const link = `${BASE_URL}login-report/?user=${user}&token=${token}`;
+    return `
+We noticed a login to your account from ${
+      isNewDevice ? "a new device" : "an unusual location"
+    }.
+Time: ${new Date().toUTCString()}
+Device: ${device ?? userAgent ?? "Unknown"}
+IP address: ${ip ?? "Unknown"}
+
+If this was you, you can safely ignore this email.
+If this wasn't you, please click on the link below to log out of all devices and reset your password, 
+${link}
+Please note that this link will expire after 24 hours.`;
+  }
+
   /**
    * @description Get user welcome email template
    * @param {String} name user name
@@ -16,14 +16,16 @@ class NodeScheduler {
   async schedule(params) {
     const { time, rule, func } = params;
     let response;
-    if (time)
-      response = nodeSchedule.scheduleJob(time, async function () {
+    // failed runs are logged, the next run tries again
+    const job = async function () {
+      try {
         await func();
-      });
-    if (rule)
-      response = nodeSchedule.scheduleJob(rule, async function () {
-        await func();
-      });
+      } catch (error) {
+        console.log(error);
+      }
+    };
+    if (time) response = nodeSchedule.scheduleJob(time, job);
+    if (rule) response = nodeSchedule.scheduleJob(rule, job);
     console.log("-JOB_SCHEDULED-");
     return response;
   }
@@ -0,0 +1,88 @@
+// module imports
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// file imports
+import { PASSWORD_CHARACTER_CLASSES } from "../configs/enums.js";
+
+// destructuring assignments
+const {
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_CHARACTER_CLASSES: REQUIRED_CHARACTER_CLASSES,
+  BREACHED_PASSWORDS_PATH,
+} = process.env;
+const { LOWERCASE, UPPERCASE, DIGIT, SYMBOL } = PASSWORD_CHARACTER_CLASSES;
+
+// variable initializations
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CHARACTER_CLASS_PATTERNS = {
+  [LOWERCASE]: /[a-z]/,
+  [UPPERCASE]: /[A-Z]/,
+  [DIGIT]: /\d/,
+  [SYMBOL]: /[^a-zA-Z\d]/,
+};
+// loaded on first use
+let breachedPasswords = null;
+
+class PasswordValidator {
+  constructor() {
+    this.minLength = Number(PASSWORD_MIN_LENGTH || 8);
+    this.characterClasses = (
+      REQUIRED_CHARACTER_CLASSES ?? "lowercase,uppercase,digit"
+    )
+      .split(",")
+      .map((characterClass) => characterClass.trim())
+      .filter((characterClass) => CHARACTER_CLASS_PATTERNS[characterClass]);
+  }
+
+  /**
+   * @description Validate password against password policy
+   * @param {String} password user password
+   * @returns {null} null
+   */
+  validatePassword(password) {
+    if (typeof password === "string" && password);
+    else throw new Error("Please enter password!|||400");
+    if (password.length < this.minLength)
+      throw new Error(
+        `Password must be at least ${this.minLength} characters!|||400`
+      );
+    const missingClasses = this.characterClasses.filter(
+      (characterClass) =>
+        !CHARACTER_CLASS_PATTERNS[characterClass].test(password)
+    );
+    if (missingClasses.length)
+      throw new Error(
+        `Password must contain ${missingClasses.join(", ")} characters!|||400`
+      );
+    if (this.isBreachedPassword(password))
+      throw new Error(
+        "Password is too common and has appeared in data breaches, please choose another one!|||400"
+      );
+  }
+
+  /**
+   * @description Check password against breached passwords corpus
+   * @param {String} password user password
+   * @returns {Boolean} breached password check
+   */
+  isBreachedPassword(password) {
+    if (breachedPasswords);
+    else
+      breachedPasswords = new Set(
+        fs
+          .readFileSync(
+            BREACHED_PASSWORDS_PATH ||
+              path.join(__dirname, "../configs/breached-passwords.txt"),
+            "utf8"
+          )
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith("#"))
+      );
+    return breachedPasswords.has(password.toLowerCase());
+  }
+}
+
+export default PasswordValidator;
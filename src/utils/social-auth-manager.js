@@ -0,0 +1,217 @@
+// module imports
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// file imports
+import { SOCIAL_PROVIDERS } from "../configs/enums.js";
+
+// destructuring assignments
+const {
+  GOOGLE_CLIENT_ID,
+  FACEBOOK_APP_ID,
+  FACEBOOK_APP_SECRET,
+  TWITTER_CLIENT_ID,
+  TWITTER_CLIENT_SECRET,
+} = process.env;
+const { GOOGLE, FACEBOOK, TWITTER } = SOCIAL_PROVIDERS;
+
+// variable initializations
+const GOOGLE_JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const FACEBOOK_GRAPH_URL = "https://graph.facebook.com";
+const TWITTER_API_URL = "https://api.twitter.com/2";
+const jwksCache = { keys: {}, expireAt: 0 };
+
+/**
+ * @description Fetch JSON response
+ * @param {String} url request url
+ * @param {Object} headers request headers
+ * @returns {Object} response body
+ */
+const fetchJSON = async (url, headers) => {
+  const response = await fetch(url, { headers });
+  if (response.ok);
+  else throw new Error("Invalid social token!|||401");
+  return await response.json();
+};
+
+/**
+ * @description Get Google signing key, refreshing the cached JWKS when needed
+ * @param {String} kid key id
+ * @returns {Object} public key
+ */
+const getGoogleKey = async (kid) => {
+  if (jwksCache.keys[kid] && jwksCache.expireAt > Date.now())
+    return jwksCache.keys[kid];
+  const response = await fetch(GOOGLE_JWKS_URL);
+  if (response.ok);
+  else throw new Error("Unable to fetch Google signing keys!|||503");
+  const { keys } = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get("cache-control"));
+  jwksCache.keys = {};
+  keys.forEach((key) => {
+    jwksCache.keys[key.kid] = crypto.createPublicKey({ key, format: "jwk" });
+  });
+  jwksCache.expireAt = Date.now() + (maxAge ? Number(maxAge[1]) : 3600) * 1000;
+  return jwksCache.keys[kid];
+};
+
+/**
+ * @description Verify Google ID token against Google JWKS
+ * @param {String} token Google ID token
+ * @returns {Object} social profile
+ */
+const verifyGoogleToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (decoded?.header?.kid);
+  else throw new Error("Invalid social token!|||401");
+  const key = await getGoogleKey(decoded.header.kid);
+  if (key);
+  else throw new Error("Invalid social token!|||401");
+  let payload;
+  try {
+    payload = jwt.verify(token, key, {
+      algorithms: ["RS256"],
+      audience: (GOOGLE_CLIENT_ID ?? "").split(","),
+      issuer: GOOGLE_ISSUERS,
+    });
+  } catch (error) {
+    throw new Error("Invalid social token!|||401");
+  }
+  return {
+    id: payload.sub,
+    email: payload.email,
+    isEmailVerified: payload.email_verified === true,
+    firstName: payload.given_name,
+    lastName: payload.family_name,
+    name: payload.name,
+  };
+};
+
+/**
+ * @description Verify Facebook access token through token introspection
+ * @param {String} token Facebook user access token
+ * @returns {Object} social profile
+ */
+const verifyFacebookToken = async (token) => {
+  const appToken = `${FACEBOOK_APP_ID}|${FACEBOOK_APP_SECRET}`;
+  const { data } = await fetchJSON(
+    `${FACEBOOK_GRAPH_URL}/debug_token?input_token=${encodeURIComponent(
+      token
+    )}&access_token=${encodeURIComponent(appToken)}`
+  );
+  if (data?.is_valid && data?.app_id === FACEBOOK_APP_ID);
+  else throw new Error("Invalid social token!|||401");
+  const profile = await fetchJSON(
+    `${FACEBOOK_GRAPH_URL}/me?fields=id,email,first_name,last_name,name&access_token=${encodeURIComponent(
+      token
+    )}`
+  );
+  if (profile.id === data.user_id);
+  else throw new Error("Invalid social token!|||401");
+  return {
+    id: profile.id,
+    email: profile.email,
+    // facebook does not guarantee its email addresses are confirmed, so
+    // they never link to existing accounts
+    isEmailVerified: false,
+    firstName: profile.first_name,
+    lastName: profile.last_name,
+    name: profile.name,
+  };
+};
+
+/**
+ * @description Verify Twitter OAuth 2.0 authorization code by exchanging it
+ * for a user access token, as Twitter offers no introspection to tell whether
+ * an access token was issued to our client
+ * @param {String} token Twitter authorization code
+ * @param {String} codeVerifier PKCE code verifier of authorization request
+ * @param {String} redirectURI redirect URI of authorization request
+ * @returns {Object} social profile
+ */
+const verifyTwitterToken = async (token, params) => {
+  const { codeVerifier, redirectURI } = params ?? {};
+  if (typeof codeVerifier === "string" && typeof redirectURI === "string");
+  else throw new Error("Please enter code verifier and redirect URI!|||400");
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  // confidential clients authenticate, public clients identify by client_id
+  if (TWITTER_CLIENT_SECRET)
+    headers.Authorization = `Basic ${Buffer.from(
+      `${TWITTER_CLIENT_ID}:${TWITTER_CLIENT_SECRET}`
+    ).toString("base64")}`;
+  const response = await fetch(`${TWITTER_API_URL}/oauth2/token`, {
+    method: "POST",
+    headers,
+    body: new URLSearchParams({
+      code: token,
+      grant_type: "authorization_code",
+      client_id: TWITTER_CLIENT_ID ?? "",
+      redirect_uri: redirectURI,
+      code_verifier: codeVerifier,
+    }),
+  });
+  if (response.ok);
+  else throw new Error("Invalid social token!|||401");
+  const { access_token: accessToken } = await response.json();
+
+  const { data } = await fetchJSON(`${TWITTER_API_URL}/users/me`, {
+    Authorization: `Bearer ${accessToken}`,
+  });
+  if (data?.id);
+  else throw new Error("Invalid social token!|||401");
+  return {
+    id: data.id,
+    isEmailVerified: false,
+    name: data.name,
+  };
+};
+
+const verifiers = {
+  [GOOGLE]: verifyGoogleToken,
+  [FACEBOOK]: verifyFacebookToken,
+  [TWITTER]: verifyTwitterToken,
+};
+
+class SocialAuthManager {
+  constructor() {
+    this.verifiers = verifiers;
+  }
+
+  /**
+   * @description Verify social provider token
+   * @param {String} provider social provider name
+   * @param {String} token provider ID token, access token or authorization code
+   * @param {String} codeVerifier PKCE code verifier of authorization code
+   * @param {String} redirectURI redirect URI of authorization code
+   * @returns {Object} social profile
+   */
+  async verifyToken(params) {
+    const { provider, token, codeVerifier, redirectURI } = params;
+    if (verifiers[provider]);
+    else throw new Error("Invalid social provider!|||400");
+    if (typeof token === "string" && token);
+    else throw new Error("Please enter social token!|||400");
+    const profile = await verifiers[provider](token, {
+      codeVerifier,
+      redirectURI,
+    });
+    if (profile?.id);
+    else throw new Error("Invalid social token!|||401");
+    return profile;
+  }
+
+  /**
+   * @description Replace social provider verifier e.g. with a local stand-in
+   * @param {String} provider social provider name
+   * @param {Function} verifier async function resolving token to profile
+   * @returns {null}
+   */
+  setVerifier(params) {
+    const { provider, verifier } = params;
+    if (typeof verifier === "function") verifiers[provider] = verifier;
+    else throw new Error("Please enter verifier function!|||400");
+  }
+}
+
+export default SocialAuthManager;
@@ -4,6 +4,8 @@ import { Server } from "socket.io";
 
 // file imports
 import * as usersController from "../controllers/users.js";
+import * as locationsController from "../controllers/locations.js";
+import { verifySocketToken } from "../middlewares/authenticator.js";
 // import serviceAccount from "../services/backend-boilerplate-official-firebase-adminsdk-o1ajl-593da86247.json" assert { type: "json" };
 
 // variable initializations
@@ -55,6 +57,29 @@ class SocketManager {
     return await global.io.emit(event.toString(), data);
   }
 
+  /**
+   * @description Disconnect sockets of user, e.g. once their sessions are
+   * revoked
+   * @param {String} user user id
+   * @param {String} session session id to disconnect, all sessions otherwise
+   * @param {String} exceptSession session id to keep connected
+   * @returns {null} null
+   */
+  async disconnectSockets(params) {
+    const { user, session, exceptSession } = params;
+    // scripts and jobs run without a socket server
+    if (global.io);
+    else return;
+    const sockets = await global.io.in(user.toString()).fetchSockets();
+    sockets
+      .filter(
+        (socket) =>
+          (!session || socket.session === session.toString()) &&
+          (!exceptSession || socket.session !== exceptSession.toString())
+      )
+      .forEach((socket) => socket.disconnect(true));
+  }
+
   /**
    * @description @param {Object} httpServer http server instance
    * @param {Object} app express app instance
@@ -67,27 +92,75 @@ class SocketManager {
       },
     });
     global.io = io;
+    io.use(verifySocketToken);
     io.on("connection", (socket) => {
-      socket.on("join", async (data) => {
-        socket.join(data);
-        console.log(`${data} joined`);
+      // authenticated sockets receive events addressed to their user
+      if (socket.user) {
+        socket.join(socket.user._id.toString());
+        // sockets outliving their token are dropped like expired requests
+        const timeout = setTimeout(
+          () => socket.disconnect(true),
+          Math.min(socket.expireAt - Date.now(), 2147483647)
+        );
+        socket.on("disconnect", () => clearTimeout(timeout));
+      }
+      // rooms of other users are never joined on behalf of the client
+      socket.on("join", async () => {
         try {
-          const args = { user: data, isOnline: true };
+          if (socket.user);
+          else throw new Error("Unauthorized!|||401");
+          const user = socket.user._id.toString();
+          socket.join(user);
+          console.log(`${user} joined`);
+          const args = { user, isOnline: true };
           await usersController.updateUser(args);
         } catch (error) {
           console.log(error);
         }
       });
-      socket.on("leave", async (data) => {
-        socket.leave();
-        console.log(`${data} left`);
+      socket.on("leave", async () => {
         try {
-          const args = { user: data, isOnline: false };
+          if (socket.user);
+          else throw new Error("Unauthorized!|||401");
+          const user = socket.user._id.toString();
+          socket.leave(user);
+          console.log(`${user} left`);
+          const args = { user, isOnline: false };
           await usersController.updateUser(args);
         } catch (error) {
           console.log(error);
         }
       });
+      socket.on("location", async (data, acknowledge) => {
+        try {
+          if (socket.user);
+          else throw new Error("Unauthorized!|||401");
+          const {
+            coordinates,
+            accuracy,
+            altitude,
+            heading,
+            speed,
+            recordedAt,
+          } = data ?? {};
+          const args = {
+            user: socket.user._id,
+            coordinates,
+            accuracy,
+            altitude,
+            heading,
+            speed,
+            recordedAt,
+          };
+          const response = await locationsController.addLocation(args);
+          if (typeof acknowledge === "function")
+            acknowledge({ data: response });
+        } catch (error) {
+          if (typeof acknowledge === "function")
+            acknowledge({ error: error.message.split("|||")[0] });
+          else console.log(error);
+        }
+      });
       socket.on("disconnect", (reason) => {
         console.log("user disconnected " + reason);
       });
@@ -0,0 +1,114 @@
+// module imports
+import crypto from "crypto";
+
+// destructuring assignments
+const { APP_TITLE } = process.env;
+
+// variable initializations
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD = 30;
+
+class TOTPManager {
+  constructor() {
+    this.crypto = crypto;
+  }
+
+  /**
+   * @description Generate base32 encoded TOTP secret
+   * @returns {String} TOTP secret
+   */
+  generateSecret() {
+    const buffer = crypto.randomBytes(20);
+    let bits = "";
+    let secret = "";
+    buffer.forEach((byte) => (bits += byte.toString(2).padStart(8, "0")));
+    for (let i = 0; i + 5 <= bits.length; i += 5)
+      secret += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5), 2)];
+    return secret;
+  }
+
+  /**
+   * @description Get otpauth provisioning URI for authenticator app QR codes
+   * @param {String} secret base32 encoded TOTP secret
+   * @param {String} label account label e.g. user email address
+   * @returns {String} provisioning URI
+   */
+  getProvisioningURI(params) {
+    const { secret, label } = params;
+    const issuer = encodeURIComponent(APP_TITLE ?? "Backend Boilerplate");
+    const account = encodeURIComponent(label);
+    const query = `secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+    return `otpauth://totp/${issuer}:${account}?${query}`;
+  }
+
+  /**
+   * @description Generate TOTP code as per RFC 6238
+   * @param {String} secret base32 encoded TOTP secret
+   * @param {Number} step time step counter
+   * @returns {String} TOTP code
+   */
+  generateCode(params) {
+    const { secret, step } = params;
+    let bits = "";
+    secret
+      .toUpperCase()
+      .replace(/=+$/, "")
+      .split("")
+      .forEach(
+        (char) =>
+          (bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0"))
+      );
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8)
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto
+      .createHmac("sha1", Buffer.from(bytes))
+      .update(counter)
+      .digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+  }
+
+  /**
+   * @description Verify TOTP code allowing adjacent time steps for clock drift
+   * @param {String} secret base32 encoded TOTP secret
+   * @param {String} code TOTP code
+   * @param {Number} window allowed time steps before and after current one
+   * @returns {Number} matched time step, null if code is invalid
+   */
+  verifyCode(params) {
+    const { secret, code, window } = params;
+    if (secret && /^\d{6}$/.test(code ?? ""));
+    else return null;
+    const currentStep = Math.floor(Date.now() / 1000 / PERIOD);
+    const drift = window ?? 1;
+    for (let step = currentStep - drift; step <= currentStep + drift; step++) {
+      const expectedCode = this.generateCode({ secret, step });
+      if (crypto.timingSafeEqual(Buffer.from(expectedCode), Buffer.from(code)))
+        return step;
+    }
+    return null;
+  }
+
+  /**
+   * @description Generate one-time recovery codes
+   * @param {Number} count recovery codes count
+   * @returns {[String]} array of recovery codes
+   */
+  generateRecoveryCodes(params) {
+    const { count } = params ?? {};
+    const codes = [];
+    for (let i = 0; i < (count ?? 10); i++) {
+      const code = crypto.randomBytes(5).toString("hex");
+      codes.push(code.slice(0, 5) + "-" + code.slice(5));
+    }
+    return codes;
+  }
+}
+
+export default TOTPManager;
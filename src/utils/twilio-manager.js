@@ -1,10 +1,5 @@
 // module imports
 import twilio from "twilio";
-import otpGenerator from "otp-generator";
-
-// file imports
-import * as usersController from "../controllers/users.js";
-import { getToken } from "../middlewares/authenticator.js";
 
 // destructuring assignments
 const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } = process.env;
@@ -18,28 +13,19 @@ class TwilioManager {
   }
 
   /**
-   * @description Send OTP to phone number
-   * @param {String} user user id
+   * @description Send OTP code to phone number
    * @param {String} phone user phone number in INTERNATIONAL format
-   * @returns {Object} token
+   * @param {String} otp OTP code
+   * @returns {Object} twilio message
    */
   async sendOTP(params) {
-    const { user, phone } = params;
+    const { phone, otp } = params;
 
     if (phone);
     else throw new Error("Please enter phone number!|||400");
 
-    const userExists = await usersController.getUser({ phone });
-
-    const otp = "111111";
-    otpGenerator.generate(6, {
-      alphabets: false,
-      upperCase: false,
-      specialChars: false,
-    });
-    console.log("OTP -->", otp);
     try {
-      await client.messages.create({
+      return await client.messages.create({
         body: "Backend Boilerplate verification code is: " + otp,
         from: "+19105438838",
         to: phone,
@@ -47,16 +33,6 @@ class TwilioManager {
     } catch (error) {
       console.log("Twilio Error", error);
     }
-    const tokenObj = {
-      _id: user?? userExists?._id,
-      phone,
-      shouldValidateOTP: !user,
-    };
-    if (userExists) {
-      userExists.otp = otp;
-      await userExists.save();
-    } else tokenObj.otp = otp;
-    return getToken(tokenObj);
   }
 }
 
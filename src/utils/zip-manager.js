@@ -0,0 +1,27 @@
+// module imports
+import archiver from "archiver";
+
+class ZipManager {
+  constructor() {
+    this.archiver = archiver;
+  }
+
+  /**
+   * @description Create ZIP archive stream with deflate compressed files
+   * @param {[Object]} files array of files having name and either data or
+   * path of file on disk
+   * @returns {Object} ZIP archive readable stream
+   */
+  createZip(params) {
+    const { files } = params;
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    files.forEach((file) => {
+      if (file.path) archive.file(file.path, { name: file.name });
+      else archive.append(file.data, { name: file.name });
+    });
+    archive.finalize();
+    return archive;
+  }
+}
+
+export default ZipManager;
@@ -0,0 +1,150 @@
+// module imports
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { afterEach, describe, it, mock } from "node:test";
+import { Types } from "mongoose";
+
+// file imports
+import { mockQuery } from "./helpers.js";
+import models from "../src/models/index.js";
+import * as authController from "../src/controllers/auth.js";
+import JWTManager from "../src/utils/jwt-manager.js";
+
+// destructuring assignments
+const { usersModel, userTokensModel, sessionsModel } = models;
+const UsersModel = usersModel;
+const { ObjectId } = Types;
+
+// variable initializations
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+describe("refresh token rotation", () => {
+  afterEach(() => mock.restoreAll());
+
+  const mockSession = () => {
+    const user = new UsersModel({ email: "user@test.com", status: "active" });
+    const session = new ObjectId();
+    const userToken = {
+      _id: new ObjectId(),
+      user: user._id,
+      family: session.toString(),
+      expireAt: new Date(Date.now() + 60 * 1000),
+    };
+    mock.method(userTokensModel, "findOne", () => mockQuery(userToken));
+    mock.method(usersModel, "findById", () => mockQuery(user));
+    mock.method(sessionsModel, "findOne", () =>
+      mockQuery({ _id: session, user: user._id })
+    );
+    mock.method(sessionsModel, "findByIdAndUpdate", () =>
+      mockQuery({ _id: session })
+    );
+    mock.method(sessionsModel, "findOneAndUpdate", () =>
+      mockQuery({ _id: session, user: user._id })
+    );
+    mock.method(userTokensModel, "updateMany", async () => ({}));
+    mock.method(
+      userTokensModel,
+      "create",
+      async (userTokenObj) => userTokenObj
+    );
+    return { user, session, userToken };
+  };
+
+  it("rotates refresh token within the same session", async () => {
+    const { user, session } = mockSession();
+    mock.method(userTokensModel, "findOneAndUpdate", (query) =>
+      mockQuery({ _id: query._id })
+    );
+
+    const response = await authController.refreshTokens({
+      refreshToken: "refresh-token",
+    });
+
+    const [findCall] = userTokensModel.findOne.mock.calls;
+    assert.equal(findCall.arguments[0].token, hashToken("refresh-token"));
+    const [rotateCall] = userTokensModel.findOneAndUpdate.mock.calls;
+    assert.deepEqual(rotateCall.arguments[1], { status: "used" });
+
+    const [createCall] = userTokensModel.create.mock.calls;
+    const userTokenObj = createCall.arguments[0];
+    assert.equal(userTokenObj.token, hashToken(response.refreshToken));
+    assert.equal(userTokenObj.family, session.toString());
+    assert.equal(sessionsModel.findOneAndUpdate.mock.callCount(), 0);
+
+    const payload = new JWTManager().verify({ token: response.token });
+    assert.equal(payload._id, user._id.toString());
+    assert.equal(payload.session, session.toString());
+  });
+
+  it("revokes the whole session when a rotated token is reused", async () => {
+    const { session } = mockSession();
+    mock.method(userTokensModel, "findOneAndUpdate", () => mockQuery(null));
+
+    await assert.rejects(
+      authController.refreshTokens({ refreshToken: "refresh-token" }),
+      { message: "Refresh token reused, please login again!|||401" }
+    );
+
+    const [revokeCall] = sessionsModel.findOneAndUpdate.mock.calls;
+    assert.equal(revokeCall.arguments[0]._id, session.toString());
+    assert.deepEqual(revokeCall.arguments[1], { status: "revoked" });
+    const [revokeTokensCall] = userTokensModel.updateMany.mock.calls;
+    assert.equal(revokeTokensCall.arguments[0].family, session.toString());
+    assert.equal(userTokensModel.create.mock.callCount(), 0);
+  });
+
+  it("rejects expired refresh token", async () => {
+    const { userToken } = mockSession();
+    userToken.expireAt = new Date(Date.now() - 1000);
+    mock.method(userTokensModel, "findOneAndUpdate", () => mockQuery(null));
+
+    await assert.rejects(
+      authController.refreshTokens({ refreshToken: "refresh-token" }),
+      { message: "Invalid or expired refresh token!|||401" }
+    );
+    assert.equal(userTokensModel.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
+
+describe("emailed link injection guards", () => {
+  afterEach(() => mock.restoreAll());
+
+  const user = new ObjectId().toString();
+  const links = {
+    magicLinkLogin: authController.magicLinkLogin,
+    unlockAccount: authController.unlockAccount,
+    resetPassword: authController.resetPassword,
+    verifyUserEmail: authController.verifyUserEmail,
+    reportLogin: authController.reportLogin,
+    changeEmail: authController.changeEmail,
+    cancelEmailChange: authController.cancelEmailChange,
+  };
+
+  for (const [name, func] of Object.entries(links)) {
+    it(`${name} rejects query operators before querying`, async () => {
+      mock.method(userTokensModel, "findOne", () => mockQuery(null));
+      mock.method(usersModel, "findById", () => mockQuery(null));
+
+      await assert.rejects(func({ user, token: { $ne: null } }), {
+        message: "Invalid link!|||400",
+      });
+      await assert.rejects(func({ user: { $ne: null }, token: "token" }), {
+        message: "Invalid link!|||400",
+      });
+      assert.equal(userTokensModel.findOne.mock.callCount(), 0);
+      assert.equal(usersModel.findById.mock.callCount(), 0);
+    });
+  }
+
+  it("looks magic link token up by its hash", async () => {
+    mock.method(userTokensModel, "findOne", () => mockQuery(null));
+
+    await assert.rejects(
+      authController.magicLinkLogin({ user, token: "link-token" }),
+      { message: "Invalid or expired link!|||400" }
+    );
+    const [findCall] = userTokensModel.findOne.mock.calls;
+    assert.equal(findCall.arguments[0].token, hashToken("link-token"));
+  });
+});
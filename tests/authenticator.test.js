@@ -0,0 +1,119 @@
+// module imports
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { Types } from "mongoose";
+
+// file imports
+import { mockQuery } from "./helpers.js";
+import models from "../src/models/index.js";
+import {
+  getToken,
+  verifyCSRF,
+  verifyToken,
+} from "../src/middlewares/authenticator.js";
+
+// destructuring assignments
+const { usersModel, sessionsModel } = models;
+const UsersModel = usersModel;
+const { ObjectId } = Types;
+
+/**
+ * @description Run middleware against request
+ * @param {Function} middleware express middleware
+ * @param {Object} req express request
+ * @returns {Object} error passed to next, if any
+ */
+const run = (middleware, req) =>
+  new Promise((resolve) => middleware(req, {}, (error) => resolve(error)));
+
+describe("CSRF verification", () => {
+  const req = (params) => ({
+    method: "POST",
+    headers: {},
+    signedCookies: {},
+    ...params,
+  });
+
+  it("skips safe methods", async () => {
+    const error = await run(
+      verifyCSRF,
+      req({ method: "GET", signedCookies: { jwt: "token" } })
+    );
+    assert.equal(error, undefined);
+  });
+
+  it("skips requests authenticated by authorization header", async () => {
+    const error = await run(
+      verifyCSRF,
+      req({
+        headers: { authorization: "Bearer token" },
+        signedCookies: { jwt: "token" },
+      })
+    );
+    assert.equal(error, undefined);
+  });
+
+  it("rejects cookie requests without matching CSRF token", async () => {
+    const cookies = { jwt: "token", csrfToken: "csrf-token" };
+    for (const headers of [{}, { "x-csrf-token": "other-token" }]) {
+      const error = await run(
+        verifyCSRF,
+        req({ headers, signedCookies: cookies })
+      );
+      assert.equal(error?.message, "Invalid CSRF token!|||403");
+    }
+  });
+
+  it("accepts cookie requests with matching CSRF token", async () => {
+    const error = await run(
+      verifyCSRF,
+      req({
+        headers: { "x-csrf-token": "csrf-token" },
+        signedCookies: { jwt: "token", csrfToken: "csrf-token" },
+      })
+    );
+    assert.equal(error, undefined);
+  });
+});
+
+describe("token verification", () => {
+  afterEach(() => mock.restoreAll());
+
+  const user = new UsersModel({ email: "user@test.com", status: "active" });
+  const session = new ObjectId();
+  const token = getToken({ _id: user._id, session });
+  const req = () => ({ headers: { authorization: `Bearer ${token}` } });
+
+  it("accepts token of active session", async () => {
+    mock.method(sessionsModel, "findOne", () =>
+      mockQuery({ _id: session, lastUsedAt: new Date() })
+    );
+    mock.method(usersModel, "findOne", () => mockQuery(user));
+
+    const request = req();
+    const error = await run(verifyToken, request);
+    assert.equal(error, undefined);
+    assert.equal(request.user, user);
+    const [findCall] = sessionsModel.findOne.mock.calls;
+    assert.equal(findCall.arguments[0].status, "active");
+  });
+
+  it("rejects token of revoked session", async () => {
+    mock.method(sessionsModel, "findOne", () => mockQuery(null));
+    mock.method(usersModel, "findOne", () => mockQuery(user));
+
+    const error = await run(verifyToken, req());
+    assert.equal(error?.message, "Session expired!|||401");
+    assert.equal(usersModel.findOne.mock.callCount(), 0);
+  });
+
+  it("rejects token without session", async () => {
+    mock.method(usersModel, "findOne", () => mockQuery(user));
+
+    const request = {
+      headers: { authorization: `Bearer ${getToken({ _id: user._id })}` },
+    };
+    const error = await run(verifyToken, request);
+    assert.equal(error?.message, "Session expired!|||401");
+  });
+});
@@ -0,0 +1,24 @@
+// module imports
+import mongoose from "mongoose";
+
+// controllers read environment once loaded, so it is set before importing them
+process.env.JWT_SECRET ??= "test-secret";
+process.env.JWT_KEY_PASSPHRASE ??= "test-passphrase";
+process.env.TWILIO_ACCOUNT_SID ??= "AC00000000000000000000000000000000";
+process.env.TWILIO_AUTH_TOKEN ??= "test-token";
+
+// queries without a mocked model method fail right away instead of hanging
+mongoose.set("bufferCommands", false);
+
+/**
+ * @description Get awaitable stand-in of mongoose query
+ * @param {Object} value query result
+ * @returns {Object} chainable query
+ */
+export const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ["select", "sort", "skip", "limit", "lean", "populate"].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
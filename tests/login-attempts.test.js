@@ -0,0 +1,101 @@
+// module imports
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+// file imports
+import { mockQuery } from "./helpers.js";
+import models from "../src/models/index.js";
+import * as loginAttemptsController from "../src/controllers/login-attempts.js";
+
+// destructuring assignments
+const { loginAttemptsModel } = models;
+
+describe("login lockout", () => {
+  let attempts;
+
+  beforeEach(() => {
+    // in-memory stand-in of login attempts collection
+    attempts = {};
+    mock.method(loginAttemptsModel, "find", (query) =>
+      mockQuery(
+        query.key.$in
+          .map((key) => attempts[key + query.type])
+          .filter((attempt) => attempt)
+      )
+    );
+    mock.method(loginAttemptsModel, "findOneAndUpdate", (query, update) => {
+      const id = query.key + query.type;
+      attempts[id] ??= { ...query, count: 0, save: async () => {} };
+      attempts[id].count += update.$inc.count;
+      return mockQuery(attempts[id]);
+    });
+    mock.method(loginAttemptsModel, "deleteMany", async (query) => {
+      query.key.$in.forEach((key) => delete attempts[key + query.type]);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const user = "user";
+  const type = "login";
+
+  it("delays attempts progressively past the delay threshold", async () => {
+    for (let count = 1; count <= 2; count++)
+      await loginAttemptsController.addFailedLoginAttempt({ user, type });
+    await loginAttemptsController.checkLoginAttempts({ user, type });
+
+    await loginAttemptsController.addFailedLoginAttempt({ user, type });
+    await assert.rejects(
+      loginAttemptsController.checkLoginAttempts({ user, type }),
+      (error) =>
+        error.message ===
+          "Too many failed attempts, please try again later!|||429" &&
+        error.retryAfter === 1
+    );
+
+    await loginAttemptsController.addFailedLoginAttempt({ user, type });
+    await assert.rejects(
+      loginAttemptsController.checkLoginAttempts({ user, type }),
+      (error) => error.retryAfter === 2
+    );
+  });
+
+  it("locks account once lockout threshold is reached", async () => {
+    const locks = [];
+    for (let count = 1; count <= 11; count++)
+      locks.push(
+        await loginAttemptsController.addFailedLoginAttempt({ user, type })
+      );
+    // lockout is only reported once, when it starts
+    assert.deepEqual(
+      locks.map((isLocked, index) => (isLocked ? index + 1 : null)),
+      [null, null, null, null, null, null, null, null, null, 10, null]
+    );
+
+    await assert.rejects(
+      loginAttemptsController.checkLoginAttempts({ user, type }),
+      (error) =>
+        error.message.endsWith("|||423") && error.retryAfter === 15 * 60
+    );
+  });
+
+  it("unlocks account once attempts are reset", async () => {
+    for (let count = 1; count <= 10; count++)
+      await loginAttemptsController.addFailedLoginAttempt({ user, type });
+
+    await loginAttemptsController.resetLoginAttempts({ user, type });
+    await loginAttemptsController.checkLoginAttempts({ user, type });
+  });
+
+  it("keeps ip attempts when user attempts are reset", async () => {
+    const ip = "127.0.0.1";
+    for (let count = 1; count <= 20; count++)
+      await loginAttemptsController.addFailedLoginAttempt({ user, ip, type });
+
+    await loginAttemptsController.resetLoginAttempts({ user, type });
+    await assert.rejects(
+      loginAttemptsController.checkLoginAttempts({ user, ip, type }),
+      { message: "Too many failed attempts, please try again later!|||429" }
+    );
+  });
+});
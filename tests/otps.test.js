@@ -0,0 +1,77 @@
+// module imports
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import { afterEach, describe, it, mock } from "node:test";
+
+// file imports
+import { mockQuery } from "./helpers.js";
+import models from "../src/models/index.js";
+import * as otpsController from "../src/controllers/otps.js";
+
+// destructuring assignments
+const { otpsModel } = models;
+
+describe("OTP verification", () => {
+  afterEach(() => mock.restoreAll());
+
+  const phone = "+10000000000";
+  const purpose = "login";
+
+  const mockOTP = async (attempts = 0) => {
+    const otp = {
+      code: await bcrypt.hash("123456", 4),
+      attempts,
+      deleteOne: mock.fn(async () => {}),
+      save: mock.fn(async () => {}),
+    };
+    mock.method(otpsModel, "findOne", () => mockQuery(otp));
+    return otp;
+  };
+
+  it("consumes code matching its stored hash", async () => {
+    const otp = await mockOTP();
+
+    await otpsController.verifyOTP({ phone, purpose, code: "123456" });
+    assert.equal(otp.deleteOne.mock.callCount(), 1);
+    const [findCall] = otpsModel.findOne.mock.calls;
+    assert.equal(findCall.arguments[0].target, phone);
+  });
+
+  it("accepts numeric code", async () => {
+    const otp = await mockOTP();
+
+    await otpsController.verifyOTP({ phone, purpose, code: 123456 });
+    assert.equal(otp.deleteOne.mock.callCount(), 1);
+  });
+
+  it("counts invalid code without consuming it", async () => {
+    const otp = await mockOTP();
+
+    await assert.rejects(
+      otpsController.verifyOTP({ phone, purpose, code: otp.code }),
+      { message: "Invalid Code!|||400" }
+    );
+    assert.equal(otp.attempts, 1);
+    assert.equal(otp.save.mock.callCount(), 1);
+    assert.equal(otp.deleteOne.mock.callCount(), 0);
+  });
+
+  it("discards code after too many invalid attempts", async () => {
+    const otp = await mockOTP(3);
+
+    await assert.rejects(
+      otpsController.verifyOTP({ phone, purpose, code: "123456" }),
+      { message: "Too many invalid codes, please request a new one!|||429" }
+    );
+    assert.equal(otp.deleteOne.mock.callCount(), 1);
+  });
+
+  it("rejects expired code", async () => {
+    mock.method(otpsModel, "findOne", () => mockQuery(null));
+
+    await assert.rejects(
+      otpsController.verifyOTP({ phone, purpose, code: "123456" }),
+      { message: "Code expired, please request a new one!|||400" }
+    );
+  });
+});
@@ -0,0 +1,94 @@
+// module imports
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+// file imports
+import { mockQuery } from "./helpers.js";
+import models from "../src/models/index.js";
+import * as usersController from "../src/controllers/users.js";
+
+// destructuring assignments
+const { usersModel } = models;
+const { EJSON } = mongoose.mongo.BSON;
+const { ObjectId } = mongoose.Types;
+
+// variable initializations
+const encodeCursor = (cursor) =>
+  Buffer.from(EJSON.stringify(cursor)).toString("base64url");
+
+describe("users listing", () => {
+  beforeEach(() => {
+    mock.method(usersModel, "countDocuments", async () => 0);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const mockUsers = (users) =>
+    mock.method(usersModel, "find", () => mockQuery(users));
+
+  it("pages by cursor of previous page without gaps", async () => {
+    const users = [1, 2, 3].map((day) => ({
+      _id: new ObjectId(),
+      createdAt: new Date(2024, 0, day),
+    }));
+    mockUsers(users);
+
+    const { data, nextCursor } = await usersController.getUsers({ limit: 2 });
+    assert.equal(data.length, 2);
+
+    mockUsers([]);
+    await usersController.getUsers({ cursor: nextCursor });
+    const [findCall] = usersModel.find.mock.calls;
+    const [cursorQuery] = findCall.arguments[0].$and;
+    // documents after the last one, ties broken by id, nulls sorted last
+    assert.deepEqual(cursorQuery.$or, [
+      {
+        $or: [{ createdAt: { $lt: users[1].createdAt } }, { createdAt: null }],
+      },
+      {
+        createdAt: users[1].createdAt,
+        $or: [{ _id: { $lt: users[1]._id } }, { _id: null }],
+      },
+    ]);
+  });
+
+  it("rejects malformed cursors", async () => {
+    mockUsers([]);
+    const cursors = [
+      "not-a-cursor",
+      encodeCursor({ sort: { $ne: null }, values: [null, null] }),
+      encodeCursor({ sort: "-createdAt", values: [{ $ne: null }, null] }),
+      encodeCursor({ sort: "-createdAt", values: "values" }),
+    ];
+    for (const cursor of cursors)
+      await assert.rejects(usersController.getUsers({ cursor }), {
+        message: "Please enter valid cursor!|||400",
+      });
+    assert.equal(usersModel.find.mock.callCount(), 0);
+  });
+
+  it("rejects query operators as filters", async () => {
+    mockUsers([]);
+    await assert.rejects(usersController.getUsers({ type: { $ne: null } }), {
+      message: "Please enter valid type!|||400",
+    });
+    await assert.rejects(usersController.getUsers({ status: { $ne: null } }), {
+      message: "Please enter valid status!|||400",
+    });
+    assert.equal(usersModel.find.mock.callCount(), 0);
+  });
+
+  it("counts users only when asked to", async () => {
+    mockUsers([]);
+    const response = await usersController.getUsers({});
+    assert.equal(response.totalCount, undefined);
+    assert.equal(usersModel.countDocuments.mock.callCount(), 0);
+
+    const { totalCount } = await usersController.getUsers({
+      isCountRequired: true,
+    });
+    assert.equal(totalCount, 0);
+    assert.equal(usersModel.countDocuments.mock.callCount(), 1);
+  });
+});